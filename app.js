@@ -0,0 +1,43 @@
+const express = require("express");
+const cors = require("cors");
+const verifyWebhook = require("./utils/verifyWebhook");
+const requireAdmin = require("./utils/adminAuth");
+const logger = require("./utils/logger");
+
+// The HTTP app only: server.js checks the config, listens and starts the
+// background workers; the tests mount it on a random port.
+const app = express();
+
+app.use(cors());
+app.use(
+  express.json({
+    // keep the exact bytes around for webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+
+// correlation ID per request, on every log line and outbound call it causes
+app.use(logger.correlate());
+
+// health check
+app.get("/ping", (req, res) => {
+  res.json({ success: true, message: "Server running ✅" });
+});
+
+// admin API: call history, resends, escalations, analytics, callbacks (ADMIN_API_KEY)
+app.use("/admin/analytics", requireAdmin(), require("./routes/analytics"));
+app.use("/admin/callbacks", requireAdmin(), require("./routes/callbacks"));
+app.use("/admin", requireAdmin(), require("./routes/admin"));
+
+// email template previews
+app.use("/templates", requireAdmin(), require("./routes/templates"));
+
+// WhatsApp delivery receipts (mounted before /webhook, which has its own guard)
+app.use("/webhook/whatsapp", require("./routes/whatsapp"));
+
+// webhook
+app.use("/webhook", verifyWebhook(), require("./routes/webhook"));
+
+module.exports = app;
@@ -0,0 +1,19 @@
+const mailQueue = require("./utils/mailQueue");
+
+// Usage:
+//   node replay-dead-letters.js            → list dead-lettered emails
+//   node replay-dead-letters.js --all      → requeue every dead-lettered email
+//   node replay-dead-letters.js <id> ...   → requeue specific jobs
+const args = process.argv.slice(2);
+
+if (args.length === 0) {
+  const jobs = mailQueue.listDeadLetters();
+  console.log(`☠️ ${jobs.length} dead-lettered email(s)`);
+  jobs.forEach((job) => {
+    console.log(`  - ${job.id} → ${job.mail.to} (${job.attempts} attempts): ${job.lastError}`);
+  });
+} else {
+  const ids = args.includes("--all") ? undefined : args;
+  const replayed = mailQueue.replayDeadLetters(ids);
+  console.log(`🔁 Requeued ${replayed.length} email(s)`, replayed);
+}
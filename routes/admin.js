@@ -0,0 +1,207 @@
+const express = require("express");
+const router = express.Router();
+const callStore = require("../utils/callStore");
+const mailQueue = require("../utils/mailQueue");
+const { notify } = require("../utils/notify");
+const { STATUSES, listEscalations, getEscalation, updateEscalation } = require("../utils/escalation");
+const { getPreferences, setPreferences } = require("../utils/preferences");
+const { getMessageStatus } = require("../utils/whatsapp");
+const log = require("../utils/logger").child({ module: "admin" });
+
+const RESEND_CHANNELS = ["email", "whatsapp"];
+const MAX_PAGE_SIZE = 500;
+
+function pageParam(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.min(parsed, MAX_PAGE_SIZE) : fallback;
+}
+
+function notFound(res, message) {
+  return res.status(404).json({ success: false, error: message });
+}
+
+// GET /admin/calls?phone=&email=&status=&flow=&from=&to=&limit=&offset=
+router.get("/calls", (req, res) => {
+  const { phone, email, status, flow, from, to } = req.query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ success: false, error: `"${name}" is not a valid date` });
+    }
+  }
+
+  const calls = callStore.findCalls({
+    phone,
+    email,
+    status,
+    flow,
+    from,
+    to,
+    limit: pageParam(req.query.limit, 50),
+    offset: pageParam(req.query.offset, 0),
+  });
+
+  // the list view leaves out transcripts; fetch one call for the full record
+  res.json({
+    success: true,
+    calls: calls.map(({ transcript, enrichment, notification, ...call }) => call),
+  });
+});
+
+router.get("/calls/:callId", (req, res) => {
+  const call = callStore.getCall(req.params.callId);
+  if (!call) return notFound(res, `Call "${req.params.callId}" not found`);
+
+  // what Meta's receipts said about the message since it was accepted
+  const whatsapp = call.actions?.whatsapp;
+  const message = whatsapp?.messageId && getMessageStatus(whatsapp.messageId);
+  if (message) {
+    whatsapp.delivery = {
+      status: message.status,
+      history: message.history,
+      ...(message.errors && { errors: message.errors }),
+    };
+  }
+
+  res.json({ success: true, call });
+});
+
+// POST /admin/calls/:callId/resend { channel: "email" | "whatsapp", email?, mobile? }
+// Re-sends the notification the webhook built for this call. Passing `email`
+// sends to a corrected / confirmed address instead of the recorded one.
+router.post("/calls/:callId/resend", async (req, res) => {
+  const { channel, email, mobile } = req.body || {};
+
+  if (!RESEND_CHANNELS.includes(channel)) {
+    return res.status(400).json({
+      success: false,
+      error: `"channel" must be one of ${RESEND_CHANNELS.join(", ")}`,
+    });
+  }
+
+  const call = callStore.getCall(req.params.callId);
+  if (!call) return notFound(res, `Call "${req.params.callId}" not found`);
+
+  const intent = call.notification;
+  if (!intent?.[channel]) {
+    return res.status(409).json({
+      success: false,
+      code: "NOTHING_TO_RESEND",
+      error: `No ${channel} notification was prepared for this call`,
+    });
+  }
+
+  const customer = {
+    ...intent.customer,
+    ...(email && { email }),
+    ...(mobile && { mobile }),
+  };
+
+  try {
+    const notifications = await notify({
+      customer,
+      [channel]: intent[channel],
+      meta: { ...intent.meta, callId: call.callId, resend: true },
+    });
+    const result = notifications[channel];
+
+    callStore.recordAction(call.callId, channel, { ...result, resend: true });
+    if (email || mobile) {
+      callStore.updateCall(call.callId, {
+        customer: { email, mobile },
+        notification: { ...intent, customer },
+      });
+    }
+
+    log.info("Admin resend", { callId: call.callId, channel, status: result.status });
+    res.status(["failed", "skipped"].includes(result.status) ? 422 : 202).json({
+      success: !["failed", "skipped"].includes(result.status),
+      callId: call.callId,
+      channel,
+      result,
+    });
+  } catch (err) {
+    log.error("Admin resend error", { callId: call.callId, channel, err });
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET /admin/escalations?status=open|in_progress|resolved
+router.get("/escalations", (req, res) => {
+  const { status } = req.query;
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `"status" must be one of ${STATUSES.join(", ")}`,
+    });
+  }
+
+  res.json({ success: true, escalations: listEscalations({ status }) });
+});
+
+router.get("/escalations/:id", (req, res) => {
+  const escalation = getEscalation(req.params.id);
+  if (!escalation) return notFound(res, `Escalation "${req.params.id}" not found`);
+
+  res.json({ success: true, escalation });
+});
+
+// PATCH /admin/escalations/:id { status?, owner?, note?, by? }
+router.patch("/escalations/:id", (req, res) => {
+  const { status, owner, note, by = "admin" } = req.body || {};
+
+  let escalation;
+  try {
+    escalation = updateEscalation(req.params.id, { status, owner, note, by });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  if (!escalation) return notFound(res, `Escalation "${req.params.id}" not found`);
+  res.json({ success: true, escalation });
+});
+
+// GET /admin/preferences?email=&mobile=
+router.get("/preferences", (req, res) => {
+  const { email, mobile } = req.query;
+  if (!email && !mobile) {
+    return res.status(400).json({ success: false, error: 'Pass "email" or "mobile"' });
+  }
+
+  res.json({ success: true, preferences: getPreferences({ email, mobile }) });
+});
+
+// PUT /admin/preferences { email?, mobile?, optOut?, preferredChannel? }
+router.put("/preferences", (req, res) => {
+  const { email, mobile, optOut, preferredChannel } = req.body || {};
+  if (optOut !== undefined && !Array.isArray(optOut)) {
+    return res.status(400).json({ success: false, error: '"optOut" must be an array of channels' });
+  }
+
+  let preferences;
+  try {
+    preferences = setPreferences({ email, mobile }, { optOut, preferredChannel });
+  } catch (err) {
+    return res.status(400).json({ success: false, error: err.message });
+  }
+
+  log.info("Preferences updated", { email, mobile, optOut, preferredChannel });
+  res.json({ success: true, preferences });
+});
+
+router.get("/mail/dead-letters", (req, res) => {
+  res.json({ success: true, jobs: mailQueue.listDeadLetters() });
+});
+
+// POST /admin/mail/dead-letters/replay { ids? } (all of them when ids is omitted)
+router.post("/mail/dead-letters/replay", (req, res) => {
+  const { ids } = req.body || {};
+  if (ids !== undefined && !Array.isArray(ids)) {
+    return res.status(400).json({ success: false, error: '"ids" must be an array of job ids' });
+  }
+
+  const replayed = mailQueue.replayDeadLetters(ids);
+  res.json({ success: true, replayed });
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require("express");
+const router = express.Router();
+const analytics = require("../utils/analytics");
+
+// from/to are ISO dates; groupBy is one of analytics.GROUPINGS
+function readQuery(req, res, { groupRequired = false } = {}) {
+  const { from, to, groupBy = groupRequired ? "day" : undefined } = req.query;
+
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      res.status(400).json({ success: false, error: `"${name}" is not a valid date` });
+      return null;
+    }
+  }
+  if (groupBy && !analytics.GROUPINGS.includes(groupBy)) {
+    res.status(400).json({
+      success: false,
+      error: `"groupBy" must be one of ${analytics.GROUPINGS.join(", ")}`,
+    });
+    return null;
+  }
+
+  return { from, to, groupBy };
+}
+
+function sendCsv(res, fileName, csv) {
+  res.type("text/csv").attachment(fileName).send(csv);
+}
+
+// GET /admin/analytics/feedback?from=&to=&groupBy=day|week|region|product
+router.get("/feedback", (req, res) => {
+  const query = readQuery(req, res);
+  if (!query) return;
+
+  res.json({ success: true, from: query.from || null, to: query.to || null, ...analytics.feedbackAnalytics(query) });
+});
+
+// GET /admin/analytics/feedback.csv?groupBy=day (one row per group)
+router.get("/feedback.csv", (req, res) => {
+  const query = readQuery(req, res, { groupRequired: true });
+  if (!query) return;
+
+  const { groups } = analytics.feedbackAnalytics(query);
+  sendCsv(res, `feedback-by-${query.groupBy}.csv`, analytics.groupsToCsv(groups, query.groupBy));
+});
+
+// GET /admin/analytics/feedback/responses.csv (one row per call)
+router.get("/feedback/responses.csv", (req, res) => {
+  const query = readQuery(req, res);
+  if (!query) return;
+
+  sendCsv(res, "feedback-responses.csv", analytics.responsesToCsv(analytics.loadResponses(query)));
+});
+
+module.exports = router;
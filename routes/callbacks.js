@@ -0,0 +1,69 @@
+const express = require("express");
+const router = express.Router();
+const scheduler = require("../utils/callbackScheduler");
+
+function notFound(res, id) {
+  return res.status(404).json({ success: false, error: `Callback "${id}" not found` });
+}
+
+// GET /admin/callbacks?status=scheduled&mobile=
+router.get("/", (req, res) => {
+  const { status, mobile } = req.query;
+  if (status && !scheduler.STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `"status" must be one of ${scheduler.STATUSES.join(", ")}`,
+    });
+  }
+
+  res.json({ success: true, callbacks: scheduler.listCallbacks({ status, mobile }) });
+});
+
+router.get("/:id", (req, res) => {
+  const callback = scheduler.getCallback(req.params.id);
+  if (!callback) return notFound(res, req.params.id);
+
+  res.json({ success: true, callback });
+});
+
+// POST /admin/callbacks { mobile, name?, reason?, notBefore?, notAfter?, callId?, maxAttempts? }
+router.post("/", (req, res) => {
+  const { mobile, name, reason = "manual", notBefore, notAfter, callId, maxAttempts } = req.body || {};
+
+  for (const [field, value] of Object.entries({ notBefore, notAfter })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return res.status(400).json({ success: false, error: `"${field}" is not a valid date` });
+    }
+  }
+
+  try {
+    const callback = scheduler.scheduleCallback({
+      mobile,
+      name,
+      reason,
+      callId,
+      notAfter,
+      ...(notBefore && { notBefore }),
+      ...(maxAttempts && { maxAttempts: Number(maxAttempts) }),
+    });
+    res.status(201).json({ success: true, callback });
+  } catch (err) {
+    const status = err.code === "INVALID_NUMBER" ? 400 : 500;
+    res.status(status).json({ success: false, code: err.code, error: err.message });
+  }
+});
+
+// DELETE /admin/callbacks/:id { note?, by? } cancels a scheduled callback
+router.delete("/:id", (req, res) => {
+  const { note, by = "admin" } = req.body || {};
+
+  try {
+    const callback = scheduler.cancelCallback(req.params.id, { note, by });
+    if (!callback) return notFound(res, req.params.id);
+    res.json({ success: true, callback });
+  } catch (err) {
+    res.status(409).json({ success: false, code: err.code, error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require("express");
+const router = express.Router();
+const templates = require("../utils/templates");
+const { normalizeLanguage } = require("../utils/language");
+const log = require("../utils/logger").child({ module: "templates" });
+
+router.get("/", (req, res) => {
+  res.json({ success: true, templates: templates.listTemplates() });
+});
+
+// Overrides end up in href/src attributes, where HTML escaping does not stop
+// a javascript: or data: URL, so only http(s) URLs are let through.
+function unsafeOverride(overrides) {
+  return Object.entries(overrides).find(([, value]) => {
+    if (typeof value !== "string") return true;
+    // browsers skip control characters and whitespace inside a scheme
+    const scheme = value.replace(/[\u0000-\u0020]/g, "").match(/^([a-z][a-z0-9+.-]*):/i)?.[1].toLowerCase();
+    return scheme && !["http", "https"].includes(scheme);
+  });
+}
+
+// GET /templates/:name/preview?format=html|text|json&lang=en|hi
+// Renders the template's sample.json; any other query params override it.
+router.get("/:name/preview", (req, res) => {
+  const { name } = req.params;
+  const { format = "html", lang, ...overrides } = req.query;
+
+  const unsafe = unsafeOverride(overrides);
+  if (unsafe) {
+    return res.status(400).json({
+      success: false,
+      code: "OVERRIDE_REJECTED",
+      error: `"${unsafe[0]}" must be plain text or an http(s) URL`,
+    });
+  }
+
+  if (!templates.hasTemplate(name)) {
+    return res.status(404).json({
+      success: false,
+      error: `Template "${name}" not found`,
+    });
+  }
+
+  try {
+    const rendered = templates.render(
+      name,
+      { ...templates.loadSample(name), ...overrides },
+      { language: normalizeLanguage(lang) }
+    );
+
+    if (format === "json") {
+      return res.json({ success: true, template: name, ...rendered });
+    }
+    if (format === "text") {
+      return res.type("text/plain").send(`Subject: ${rendered.subject}\n\n${rendered.text}`);
+    }
+    res.type("html").send(rendered.html);
+  } catch (err) {
+    log.error("Template preview error", { template: name, err });
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+module.exports = router;
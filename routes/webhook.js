@@ -1,98 +1,65 @@
 const express = require("express");
 const router = express.Router();
-const sendMail = require("../utils/sendMail");
-
-// email validation
-function isValidEmail(email) {
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
-}
-
-router.post("/", async (req, res) => {
+const { resolveLanguage } = require("../utils/language");
+const callStore = require("../utils/callStore");
+const { idempotent, once, IdempotencyConflictError } = require("../utils/idempotency");
+const { checkCallStatus, runStatusActions } = require("../utils/callLifecycle");
+const { getRecipient } = require("../utils/bolnaPayload");
+const { selectWorkflow, runWorkflow } = require("../utils/workflows");
+const log = require("../utils/logger").child({ module: "webhook" });
+
+// Bolna retries and sends several status updates per call: `idempotent`
+// replays the first answer to a repeat, `checkCallStatus` drops out-of-order
+// updates and `once` keeps each side effect to a single run per call.
+// `selectWorkflow` picks the pipeline by agent ID / use case
+// (config/workflows.json).
+const guards = [
+  idempotent("webhook"),
+  checkCallStatus(),
+  selectWorkflow(),
+  callStore.trackCall((req) => req.workflow.name),
+];
+
+router.post("/", ...guards, async (req, res) => {
   try {
-    console.log("📦 Webhook payload:", JSON.stringify(req.body, null, 2));
-
-    const callStatus = (req.body.status || "").toLowerCase();
-    const extracted = req.body.extracted_data || {};
+    const { status: callStatus, terminal } = req.callStatus;
+    log.info("Webhook received", { status: callStatus, workflow: req.workflow.name });
+    log.debug("Webhook payload", { payload: req.body });
 
-    const email = extracted.email;
-    const userName = extracted.user_name || "Customer";
-    const rating = extracted.rate || extracted.rating || "N/A";
-
-    console.log("📧 Debug:", { callStatus, email, userName, rating });
-
-    // Only send when call completed
-    if (callStatus !== "completed") {
+    // still ringing / in progress: wait for the call to end
+    if (!terminal) {
       return res.json({
         success: true,
+        status: callStatus,
         message: "Call not completed, email skipped",
       });
     }
 
-    if (!isValidEmail(email)) {
+    // no-answer, busy, failed, ...: run what config/call-status-actions.json says
+    if (callStatus !== "completed") {
+      const { result: actions } = await once(req.callId, `status:${callStatus}`, () =>
+        runStatusActions(callStatus, {
+          callId: req.callId,
+          customer: getRecipient(req.body),
+          language: resolveLanguage(req.body),
+        })
+      );
+
       return res.json({
-        success: false,
-        message: "Invalid email",
+        success: true,
+        status: callStatus,
+        message: `Call ended as ${callStatus}`,
+        actions,
       });
     }
 
-    // 🎯 EMAIL TEMPLATE
-    const htmlTemplate = `
-      <div style="font-family: Arial, sans-serif; max-width:600px; margin:auto; padding:20px; border:1px solid #eee; border-radius:8px;">
-        
-        <h2 style="color:#C8202D;">Thank You for Your Feedback 🙏</h2>
-
-        <p>Hi <strong>${userName}</strong>,</p>
-
-        <p>
-          Thank you for sharing your feedback with <strong>Hindalco Premium Aluminium</strong>.
-        </p>
-
-        <p>
-          We’ve recorded your rating of 
-          <strong>${rating}/10</strong> and truly appreciate your inputs.
-        </p>
-
-        <p>
-          Our team is reviewing your feedback and will work towards improving your experience.
-        </p>
-
-        <p>
-          If you need any assistance or would like to share anything further, you can connect with us below:
-        </p>
-
-        <div style="text-align:center; margin:30px 0;">
-          <a href="${process.env.FEEDBACK_FORM_URL}"
-             style="background:#C8202D; color:#ffffff; padding:12px 25px; text-decoration:none; border-radius:6px; font-weight:bold;">
-             Share More Feedback
-          </a>
-        </div>
-
-        <hr style="border:none; border-top:1px solid #eee;" />
-
-        <p style="font-size:14px; color:#555;">
-          Regards,<br/>
-          <strong>Team Hindalco Premium Aluminium</strong>
-        </p>
-
-      </div>
-    `;
-
-    // 🚀 SEND EMAIL
-  sendMail({
-  to: email,
-  subject: "We Value Your Feedback",
-  html: htmlTemplate,
-  userName,
-  rating,
-})
-.then(() => console.log("✅ Email sent"))
-.catch(err => console.error("❌ Email error:", err.message));
-  return res.json({
-  success: true,
-  message: "Webhook received, email processing in background",
-});
+    await runWorkflow(req.workflow, req, res);
   } catch (err) {
-    console.error("❌ Webhook error:", err.message);
+    if (err instanceof IdempotencyConflictError) {
+      return res.status(409).json({ success: false, code: err.code, error: err.message });
+    }
+    log.error("Webhook error", { err });
+    callStore.updateCall(req.callId, { error: err.message });
 
     res.status(500).json({
       success: false,
@@ -101,4 +68,4 @@ router.post("/", async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
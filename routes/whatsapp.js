@@ -0,0 +1,49 @@
+const express = require("express");
+const router = express.Router();
+const verifyWebhook = require("../utils/verifyWebhook");
+const { recordStatus } = require("../utils/whatsapp");
+const { config } = require("../utils/config");
+const log = require("../utils/logger").child({ module: "whatsappWebhook" });
+
+// Meta's one-time subscription handshake
+router.get("/status", (req, res) => {
+  const mode = req.query["hub.mode"];
+  const token = req.query["hub.verify_token"];
+
+  if (mode === "subscribe" && token && token === config.WHATSAPP_VERIFY_TOKEN) {
+    return res.status(200).send(req.query["hub.challenge"]);
+  }
+  res.sendStatus(403);
+});
+
+// Delivery receipts: Meta signs the raw body with the app secret
+router.post(
+  "/status",
+  verifyWebhook({
+    secret: config.WHATSAPP_APP_SECRET,
+    signatureHeader: "x-hub-signature-256",
+    timestampHeader: false,
+  }),
+  (req, res) => {
+    try {
+      const statuses = (req.body.entry || [])
+        .flatMap((entry) => entry.changes || [])
+        .flatMap((change) => change.value?.statuses || []);
+
+      statuses.forEach((status) => {
+        const message = recordStatus(status);
+        log.info("WhatsApp status", { messageId: status.id, status: status.status });
+        if (status.status === "failed") {
+          log.error("WhatsApp delivery failed", { messageId: status.id, errors: message?.errors });
+        }
+      });
+
+      res.json({ success: true, recorded: statuses.length });
+    } catch (err) {
+      log.error("WhatsApp status error", { err });
+      res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+module.exports = router;
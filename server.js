@@ -1,22 +1,26 @@
-const express = require("express");
-const cors = require("cors");
-require("dotenv").config();
+const { config, profile, problems, describeConfig } = require("./utils/config");
+const logger = require("./utils/logger");
 
-const app = express();
+// refuse to start half-configured: list everything that is wrong at once
+if (problems.length) {
+  logger.error("Invalid configuration, refusing to start", { profile, problems });
+  process.exit(1);
+}
+logger.debug("Configuration loaded", { profile, config: describeConfig(config) });
 
-app.use(cors());
-app.use(express.json());
+// not fatal: dealer calls still open a Case, marked unverified
+if (!require("./utils/dealers").loadDealers().length) {
+  logger.warn("Dealer registry is empty, no dealer will be verified", { file: config.DEALERS_FILE });
+}
 
-// health check
-app.get("/ping", (req, res) => {
-  res.json({ success: true, message: "Server running ✅" });
-});
-
-// webhook
-app.use("/webhook", require("./routes/webhook"));
+const app = require("./app");
+const mailQueue = require("./utils/mailQueue");
+const callStore = require("./utils/callStore");
+const callbackScheduler = require("./utils/callbackScheduler");
 
-const PORT = process.env.PORT || 5001;
-
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-});
\ No newline at end of file
+app.listen(config.PORT, () => {
+  logger.info("Server running", { port: config.PORT, profile });
+  callStore.trackMailQueue(mailQueue.events);
+  mailQueue.start();
+  callbackScheduler.start();
+});
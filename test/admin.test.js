@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, callPayload } = require("./helpers/harness");
+
+describe("guards and admin API", () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness({ WHATSAPP_APP_SECRET: "test-app-secret" });
+  });
+  after(() => harness.close());
+
+  it("rejects unsigned and tampered webhooks", async () => {
+    const unsigned = await harness.webhook(callPayload(), { sign: false });
+    assert.equal(unsigned.status, 401);
+    assert.equal(unsigned.body.code, "SIGNATURE_MISSING");
+
+    const tampered = await harness.webhook(callPayload(), { headers: { "X-Webhook-Signature": "0".repeat(64) } });
+    assert.equal(tampered.status, 401);
+    assert.equal(tampered.body.code, "SIGNATURE_INVALID");
+  });
+
+  it("echoes the caller's correlation ID", async () => {
+    const response = await harness.webhook(callPayload({ status: "ringing" }), {
+      headers: { "X-Correlation-Id": "trace-123" },
+    });
+    assert.equal(response.headers.get("x-correlation-id"), "trace-123");
+  });
+
+  it("needs the admin key", async () => {
+    const missing = await harness.request("GET", "/admin/calls");
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, "ADMIN_KEY_MISSING");
+
+    const wrong = await harness.request("GET", "/admin/calls", { headers: { "x-admin-key": "nope" } });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, "ADMIN_KEY_INVALID");
+  });
+
+  it("finds calls and resends their notification", async () => {
+    const payload = callPayload({ extracted: { mobile: "9812345678" } });
+    await harness.webhook(payload);
+    await harness.flushMail();
+
+    const list = await harness.admin("GET", "/admin/calls?phone=9812345678");
+    assert.equal(list.status, 200);
+    assert.deepEqual(
+      list.body.calls.map((call) => call.callId),
+      [payload.id]
+    );
+
+    const resend = await harness.admin("POST", `/admin/calls/${payload.id}/resend`, {
+      channel: "email",
+      email: "asha.new@example.com",
+    });
+    await harness.flushMail();
+
+    assert.equal(resend.status, 202);
+    assert.equal(resend.body.result.status, "queued");
+    assert.deepEqual(
+      harness.fakes.state.emails.map((email) => email.to[0].email),
+      ["asha.verma@example.com", "asha.new@example.com"]
+    );
+  });
+
+  it("records a customer's opt-out and honours it", async () => {
+    const rejected = await harness.admin("PUT", "/admin/preferences", { mobile: "9876543210", optOut: ["fax"] });
+    assert.equal(rejected.status, 400);
+
+    const saved = await harness.admin("PUT", "/admin/preferences", { mobile: "9876543210", optOut: ["whatsapp"] });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(saved.body.preferences.optOut, ["whatsapp"]);
+
+    const read = await harness.admin("GET", "/admin/preferences?mobile=%2B91%2098765%2043210");
+    assert.deepEqual(read.body.preferences, { optOut: ["whatsapp"], preferredChannel: null });
+
+    const payload = callPayload({ status: "no-answer" });
+    delete payload.extracted_data;
+    const before = harness.fakes.state.whatsapp.length;
+    const response = await harness.webhook(payload);
+
+    assert.equal(response.status, 200);
+    assert.equal(harness.fakes.state.whatsapp.length, before);
+    assert.equal(harness.callStore.getCall(payload.id).actions.whatsapp.reason, "opted_out");
+  });
+
+  it("shows WhatsApp delivery receipts on the call", async () => {
+    const { signPayload } = require("../utils/verifyWebhook");
+    const payload = callPayload({ status: "no-answer", extracted: { mobile: "9811122233" } });
+    await harness.webhook(payload);
+    const { messageId } = harness.callStore.getCall(payload.id).actions.whatsapp;
+
+    const receipt = JSON.stringify({
+      entry: [{ changes: [{ value: { statuses: [{ id: messageId, status: "delivered", timestamp: "1900000000" }] } }] }],
+    });
+    const recorded = await harness.request("POST", "/webhook/whatsapp/status", {
+      body: receipt,
+      headers: { "X-Hub-Signature-256": `sha256=${signPayload(receipt, "test-app-secret")}` },
+    });
+    assert.equal(recorded.status, 200);
+
+    const { body } = await harness.admin("GET", `/admin/calls/${payload.id}`);
+    assert.equal(body.call.actions.whatsapp.delivery.status, "delivered");
+    assert.deepEqual(
+      body.call.actions.whatsapp.delivery.history.map((entry) => entry.status),
+      ["accepted", "delivered"]
+    );
+  });
+
+  it("previews templates for admins only, with safe overrides", async () => {
+    const anonymous = await harness.request("GET", "/templates/feedback/preview");
+    assert.equal(anonymous.status, 401);
+
+    const preview = await harness.admin("GET", "/templates/feedback/preview?userName=Ravi&feedbackFormUrl=https://forms.example.com/x");
+    assert.equal(preview.status, 200);
+    assert.match(preview.text, /Ravi/);
+    assert.match(preview.text, /href="https:\/\/forms\.example\.com\/x"/);
+
+    for (const url of ["javascript:alert(1)", " JavaScript:alert(1)", "java%09script:alert(1)", "data:text/html,x"]) {
+      const rejected = await harness.admin("GET", `/templates/feedback/preview?feedbackFormUrl=${url}`);
+      assert.equal(rejected.status, 400, url);
+      assert.equal(rejected.body.code, "OVERRIDE_REJECTED");
+    }
+  });
+
+  it("reports feedback analytics", async () => {
+    const response = await harness.admin("GET", "/admin/analytics/feedback");
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.summary.responses >= 1);
+  });
+});
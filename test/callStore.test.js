@@ -0,0 +1,56 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.APP_ENV = "test";
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bolna-calls-"));
+
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const callStore = require("../utils/callStore");
+
+const line = (entry) => `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`;
+
+describe("call store", () => {
+  after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+  it("folds new lines into the records it already has", () => {
+    callStore.recordCall({ id: "call-1", status: "ringing", extracted_data: { mobile: "9876543210" } });
+    assert.equal(callStore.getCall("call-1").status, "ringing");
+
+    callStore.recordCall({ id: "call-1", status: "completed" });
+    callStore.recordAction("call-1", "email", { status: "queued" });
+
+    const call = callStore.getCall("call-1");
+    assert.equal(call.status, "completed");
+    assert.deepEqual(call.statusHistory.map((entry) => entry.status), ["ringing", "completed"]);
+    assert.equal(call.actions.email.status, "queued");
+  });
+
+  it("sees what other processes append, once their line is complete", () => {
+    const entry = line({ type: "action", callId: "call-1", action: "email", result: { status: "sent" } });
+    fs.appendFileSync(callStore.CALLS_FILE, entry.slice(0, 20));
+    assert.equal(callStore.getCall("call-1").actions.email.status, "queued");
+
+    fs.appendFileSync(callStore.CALLS_FILE, entry.slice(20));
+    assert.equal(callStore.getCall("call-1").actions.email.status, "sent");
+  });
+
+  it("hands out copies", () => {
+    callStore.getCall("call-1").status = "tampered";
+    callStore.findCalls({ phone: "9876543210" })[0].customer.mobile = null;
+
+    assert.equal(callStore.getCall("call-1").status, "completed");
+    assert.equal(callStore.findCalls({ phone: "9876543210" }).length, 1);
+  });
+
+  it("starts over when the file is replaced", () => {
+    // written beside it and renamed over it, and longer than what was read
+    const replacement = `${callStore.CALLS_FILE}.new`;
+    fs.writeFileSync(replacement, line({ type: "call", callId: "call-2", status: "queued", note: "x".repeat(2000) }));
+    fs.renameSync(replacement, callStore.CALLS_FILE);
+
+    assert.equal(callStore.getCall("call-1"), null);
+    assert.equal(callStore.getCall("call-2").status, "queued");
+  });
+});
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, callPayload } = require("./helpers/harness");
+
+const DEALERS = `dealer_number,name,email,mobile,account_id,city,active
+40213,"Sharma Electronics, Jaipur",orders@sharma.example,+91 91234 56789,001FAKEDEALER01,Jaipur,
+40999,Closed Traders,,,001FAKEDEALER02,Pune,no
+`;
+
+function dealerPayload(extracted = {}) {
+  const payload = callPayload({
+    transcript: "Main dealer bol raha hoon, customer ka fridge dent ke saath deliver hua hai.",
+    extracted: {
+      user_name: "Amit Sharma",
+      caller_type: "डीलर",
+      dealer_number: "four zero two one three",
+      mobile: "9123456789",
+      pincode: "302001",
+      product: "Refrigerator",
+      issuedesc: "Unit delivered with a dented door",
+      ...extracted,
+    },
+  });
+  delete payload.extracted_data.email;
+  delete payload.extracted_data.rate;
+  return payload;
+}
+
+describe("dealer calls", () => {
+  let harness;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "bolna-dealers-"));
+    fs.writeFileSync(path.join(dir, "dealers.csv"), DEALERS);
+    harness = await startHarness({
+      DEALERS_FILE: path.join(dir, "dealers.csv"),
+      DEALER_SUPPORT_EMAIL: "dealer-support@example.com",
+    });
+  });
+  after(async () => {
+    await harness.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  beforeEach(async () => {
+    await harness.flushMail();
+    harness.fakes.reset();
+  });
+
+  it("opens a Dealer Support Case and tells the dealer-support inbox", async () => {
+    const payload = dealerPayload();
+
+    const response = await harness.webhook(payload);
+    await harness.flushMail();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.workflow, "dealer");
+    assert.deepEqual(response.body.dealer, {
+      number: "40213",
+      verified: true,
+      name: "Sharma Electronics, Jaipur",
+      city: "Jaipur",
+      accountId: "001FAKEDEALER01",
+    });
+
+    const [record] = harness.fakes.state.cases;
+    assert.equal(record.Subject, "Dealer Support Request");
+    assert.equal(record.RecordTypeId, "012FAKE000000001");
+    assert.equal(record.AccountId, "001FAKEDEALER01");
+    assert.match(record.Description, /Dealer: Sharma Electronics, Jaipur \(40213\)/);
+    assert.equal(harness.fakes.state.contacts[0].AccountId, "001FAKEDEALER01");
+
+    // the registry's address is used for the Contact, the email goes to the inbox
+    assert.equal(harness.fakes.state.contacts[0].Email, "orders@sharma.example");
+    assert.equal(harness.fakes.state.emails.length, 1);
+    const [email] = harness.fakes.state.emails;
+    assert.deepEqual(email.to, [{ email: "dealer-support@example.com" }]);
+    assert.equal(email.subject, `[Dealer 40213] Sharma Electronics, Jaipur — Case ${record.CaseNumber}`);
+    assert.match(email.htmlContent, /Unit delivered with a dented door/);
+    assert.equal(harness.fakes.state.whatsapp.length, 0);
+
+    const call = harness.callStore.getCall(payload.id);
+    assert.equal(call.flow, "dealer");
+    assert.equal(call.actions.dealer.status, "verified");
+    assert.equal(call.actions.case.status, "created");
+    assert.equal(call.actions.email.status, "sent");
+  });
+
+  it("recognises a dealer by their registered mobile", async () => {
+    const payload = dealerPayload({ caller_type: undefined, dealer_number: "+91 9123456789" });
+
+    const response = await harness.webhook(payload);
+
+    assert.equal(response.body.workflow, "dealer");
+    assert.equal(response.body.dealer.verified, true);
+    assert.equal(response.body.dealer.name, "Sharma Electronics, Jaipur");
+  });
+
+  it("still opens a Case for an unknown or inactive dealer, marked unverified", async () => {
+    for (const dealerNumber of ["55555", "40999"]) {
+      const payload = dealerPayload({ dealer_number: dealerNumber });
+
+      const response = await harness.webhook(payload);
+      await harness.flushMail();
+
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.dealer, { number: dealerNumber, verified: false });
+      assert.equal(harness.callStore.getCall(payload.id).actions.dealer.status, "unknown");
+    }
+
+    assert.equal(harness.fakes.state.cases.length, 2);
+    assert.match(harness.fakes.state.cases[0].Description, /55555 \(not in the dealer registry\)/);
+    assert.equal(harness.fakes.state.cases[0].AccountId, undefined);
+    assert.match(harness.fakes.state.emails[0].subject, /Not in the dealer registry/);
+  });
+
+  it("treats an unreadable registry as an empty one", () => {
+    const { loadDealers } = require("../utils/dealers");
+    const file = path.join(dir, "dealers.json");
+    fs.writeFileSync(file, '[{ "dealer_number": "40213", ');
+    assert.deepEqual(loadDealers(file), []);
+
+    fs.writeFileSync(file, '{ "dealer_number": "40213" }');
+    assert.deepEqual(loadDealers(file), []);
+
+    fs.writeFileSync(file, '[{ "dealerNumber": "40213", "name": "Sharma Electronics" }]');
+    assert.equal(loadDealers(file)[0].name, "Sharma Electronics");
+  });
+
+  it("needs the dealer number", async () => {
+    const payload = dealerPayload();
+    delete payload.extracted_data.dealer_number;
+
+    const response = await harness.webhook(payload);
+
+    assert.equal(response.status, 422);
+    assert.deepEqual(response.body.errors.map((error) => error.field), ["dealer_number"]);
+    assert.equal(harness.fakes.state.cases.length, 0);
+  });
+
+  it("keeps customers on their own workflow", async () => {
+    const payload = callPayload({ use_case: "service-request" });
+    Object.assign(payload.extracted_data, {
+      caller_type: "customer",
+      pincode: "110001",
+      issuedesc: "AC not working",
+      fulladdress: "123 Test Street, Delhi",
+      technician_visit_date: "kal subah",
+    });
+
+    const response = await harness.webhook(payload);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.workflow, "serviceRequest");
+    assert.equal(response.body.dealer, undefined);
+    assert.equal(harness.fakes.state.cases[0].RecordTypeId, undefined);
+  });
+});
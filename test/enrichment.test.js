@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness } = require("./helpers/harness");
+
+// Sample transcripts with the label the offline keyword provider should give.
+const transcripts = [
+  {
+    name: "Hindi, positive",
+    text: "मेरा AC काम नहीं कर रहा है। कृपया जल्दी से technician भेजें। आपकी सेवा बहुत अच्छी है।",
+    sentiment: "Positive",
+  },
+  {
+    name: "English, negative",
+    text: "I am very disappointed with your service. The washing machine is still leaking after the last repair. This is unacceptable!",
+    sentiment: "Negative",
+  },
+  {
+    name: "Hindi, complaint",
+    text: "मुझे बहुत गुस्सा आ रहा है। तीन बार technician आया लेकिन problem अभी भी ठीक नहीं हुई।",
+    sentiment: "Negative",
+  },
+  {
+    name: "English, positive",
+    text: "Thank you so much! The technician was very professional and fixed the issue quickly. Great service!",
+    sentiment: "Positive",
+  },
+  {
+    name: "mixed language, neutral",
+    text: "Hello, मुझे refrigerator में problem है। Please send someone to check it.",
+    sentiment: "Neutral",
+  },
+];
+
+describe("transcript enrichment", () => {
+  let harness;
+  let enrichment;
+
+  before(async () => {
+    harness = await startHarness();
+    enrichment = require("../utils/enrichment");
+  });
+  after(() => harness.close());
+  beforeEach(() => harness.fakes.reset());
+
+  for (const transcript of transcripts) {
+    it(`labels ${transcript.name} offline`, async () => {
+      const result = await enrichment.getProvider("keyword").analyze(transcript.text);
+
+      assert.equal(result.sentiment, transcript.sentiment);
+      assert.equal(result.translatedText, transcript.text);
+      assert.ok(result.confidence >= 0.5 && result.confidence <= 0.95);
+    });
+  }
+
+  it("scores only the customer's turns offline", async () => {
+    const provider = enrichment.getProvider("keyword");
+    const hindi = "assistant: नमस्ते, क्या आपकी शिकायत का समाधान हो गया?\nuser: हाँ, हो गया।";
+    const english = "assistant: Shall I connect you to a senior manager?\nuser: No need, it was fixed.";
+
+    assert.equal((await provider.analyze(hindi)).sentiment, "Neutral");
+    assert.equal((await provider.analyze(hindi)).translatedText, hindi);
+    assert.equal((await provider.analyze(english)).sentiment, "Positive");
+  });
+
+  it("translates through the configured LLM", async () => {
+    const [transcript] = transcripts;
+
+    const result = await enrichment.enrichTranscript(transcript.text);
+
+    assert.deepEqual(result, {
+      translatedText: `[en] ${transcript.text}`,
+      translated: true,
+      sentiment: "Positive",
+      confidence: 0.9,
+      provider: "openai",
+    });
+    assert.deepEqual(harness.fakes.state.llm, [transcript.text]);
+  });
+
+  it("falls back to keywords when the LLM is unreachable", async () => {
+    harness.fakes.fail("llm", { status: 500 });
+
+    const result = await enrichment.enrichTranscript(transcripts[2].text);
+
+    assert.equal(result.provider, "keyword");
+    assert.equal(result.sentiment, "Negative");
+    assert.equal(result.translated, false);
+  });
+
+  it("leaves an empty transcript alone", async () => {
+    const result = await enrichment.enrichTranscript("  ");
+
+    assert.deepEqual(result, { translatedText: "", translated: true, sentiment: "Neutral", confidence: 0, provider: "none" });
+    assert.equal(harness.fakes.state.llm.length, 0);
+  });
+});
@@ -0,0 +1,57 @@
+process.env.APP_ENV = "test";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { evaluateEscalation } = require("../utils/escalation");
+
+const rules = {
+  maxRating: 4,
+  sentiments: ["Negative"],
+  minSentimentConfidence: 0.6,
+  keywords: ["senior", "manager", "consumer court", "शिकायत", "सीनियर"],
+};
+
+const check = (transcript, enrichment = {}) => evaluateEscalation({ rating: 9, transcript, enrichment }, rules);
+
+describe("escalation keywords", () => {
+  it("ignores what the agent says", () => {
+    const transcript = [
+      "assistant: नमस्ते, आपकी शिकायत दर्ज करने के लिए धन्यवाद। क्या आप किसी सीनियर से बात करना चाहेंगे?",
+      "user: नहीं, सब ठीक है, धन्यवाद।",
+    ].join("\n");
+
+    assert.deepEqual(check(transcript), { escalate: false, reasons: [] });
+  });
+
+  it("matches the customer's turns, including continued lines", () => {
+    const transcript = [
+      "assistant: How was the visit?",
+      "user: Not good at all.",
+      "I will take this to consumer   court.",
+    ].join("\n");
+
+    assert.deepEqual(check(transcript).reasons, ['keyword "consumer court"']);
+    assert.deepEqual(check("user: मुझे शिकायत करनी है").reasons, ['keyword "शिकायत"']);
+  });
+
+  it("matches whole words only", () => {
+    assert.equal(check("user: Your management team was great").escalate, false);
+    assert.equal(check("user: The seniority list, thanks").escalate, false);
+    assert.equal(check("user: Let me speak to your Manager!").escalate, true);
+  });
+
+  it("reads an unlabelled transcript whole", () => {
+    assert.equal(check("I want a senior person to call me").escalate, true);
+  });
+
+  it("skips an unlabelled translation of a labelled transcript", () => {
+    const transcript = "assistant: क्या आप सीनियर से बात करना चाहेंगे?\nuser: नहीं।";
+    const enrichment = { translatedText: "Would you like to speak to a senior? No." };
+
+    assert.equal(check(transcript, enrichment).escalate, false);
+    assert.equal(
+      check(transcript, { translatedText: "assistant: Would you like to speak to a senior?\nuser: Yes, a manager." }).escalate,
+      true
+    );
+  });
+});
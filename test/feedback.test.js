@@ -0,0 +1,215 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, callPayload } = require("./helpers/harness");
+
+describe("feedback workflow", () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+  after(() => harness.close());
+  beforeEach(async () => {
+    await harness.flushMail();
+    harness.fakes.reset();
+  });
+
+  it("thanks a happy customer by email", async () => {
+    const payload = callPayload({ transcript: "आपकी सेवा बहुत अच्छी है, धन्यवाद" });
+
+    const response = await harness.webhook(payload);
+    await harness.flushMail();
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.workflow, "feedback");
+    assert.equal(response.body.enrichment.provider, "openai");
+    assert.equal(response.body.enrichment.sentiment, "Positive");
+    assert.deepEqual(harness.fakes.state.llm, [payload.transcript]);
+
+    assert.equal(harness.fakes.state.emails.length, 1);
+    const [email] = harness.fakes.state.emails;
+    assert.equal(email.apiKey, "fake-brevo-key");
+    assert.deepEqual(email.to, [{ email: "asha.verma@example.com" }]);
+    assert.deepEqual(email.sender, { email: "support@example.com", name: "Hindalco Support" });
+    assert.match(email.htmlContent, /href="https:\/\/forms\.example\.com\/feedback"/);
+
+    const call = harness.callStore.getCall(payload.id);
+    assert.equal(call.flow, "feedback");
+    assert.equal(call.responseStatus, 202);
+    assert.equal(call.actions.email.status, "sent");
+    assert.equal(call.enrichment.sentiment, "Positive");
+  });
+
+  it("escalates an unhappy customer instead", async () => {
+    const payload = callPayload({
+      transcript: "I am very disappointed, this is unacceptable",
+      extracted: { rate: 2 },
+    });
+
+    const response = await harness.webhook(payload);
+    await harness.flushMail();
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.message, "Negative feedback escalated");
+    assert.match(response.body.escalationId, /^ESC-/);
+
+    // an apology to the customer; no ESCALATION_EMAIL, so no internal alert
+    assert.equal(harness.fakes.state.emails.length, 1);
+    assert.deepEqual(harness.fakes.state.emails[0].to, [{ email: "asha.verma@example.com" }]);
+
+    const escalation = await harness.admin("GET", `/admin/escalations/${response.body.escalationId}`);
+    assert.equal(escalation.status, 200);
+    assert.equal(escalation.body.escalation.callId, payload.id);
+    assert.equal(harness.callStore.getCall(payload.id).actions.escalation.status, "opened");
+  });
+
+  it("does not escalate a happy customer over the agent's script, even offline", async () => {
+    harness.fakes.fail("llm", { status: 503 });
+    const payload = callPayload({
+      transcript: [
+        "assistant: नमस्ते, आपकी शिकायत के बारे में कॉल कर रहे हैं। क्या आपकी शिकायत का समाधान हो गया?",
+        "user: हाँ, हो गया।",
+        "assistant: अगर शिकायत फिर से हो तो क्या आप किसी senior manager से बात करना चाहेंगे?",
+        "user: नहीं, ज़रूरत नहीं।",
+      ].join("\n"),
+      extracted: { rate: 9 },
+    });
+
+    const response = await harness.webhook(payload);
+    await harness.flushMail();
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.enrichment.provider, "keyword");
+    assert.notEqual(response.body.enrichment.sentiment, "Negative");
+    assert.equal(response.body.escalationId, undefined);
+    assert.equal(harness.callStore.getCall(payload.id).actions.escalation, undefined);
+    assert.equal(harness.fakes.state.emails.length, 1);
+  });
+
+  it("escalates an unhappy customer who gave no email address", async () => {
+    const payload = callPayload({ extracted: { rate: 2 } });
+    delete payload.extracted_data.email;
+
+    const response = await harness.webhook(payload);
+    await harness.flushMail();
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.message, "Negative feedback escalated");
+    assert.equal(harness.fakes.state.emails.length, 0);
+
+    const escalation = await harness.admin("GET", `/admin/escalations/${response.body.escalationId}`);
+    assert.equal(escalation.body.escalation.customer.email, null);
+    assert.equal(harness.callStore.getCall(payload.id).actions.escalation.status, "opened");
+  });
+
+  it("escalates an unhappy customer whose pincode was misheard", async () => {
+    const payload = callPayload({ extracted: { rate: 1, pincode: "1100" } });
+
+    const response = await harness.webhook(payload);
+    await harness.flushMail();
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.message, "Negative feedback escalated");
+    const call = harness.callStore.getCall(payload.id);
+    assert.equal(call.actions.escalation.status, "opened");
+    assert.equal(call.extracted.pincode, undefined);
+  });
+
+  it("asks for confirmation before emailing an unclear spoken address", async () => {
+    const payload = callPayload({ extracted: { email: "ashaverma gmail com" } });
+
+    const response = await harness.webhook(payload);
+    await harness.flushMail();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.needsConfirmation, true);
+    assert.ok(response.body.emailCandidates.length > 0);
+    assert.equal(harness.fakes.state.emails.length, 0);
+    assert.equal(harness.callStore.getCall(payload.id).actions.email.reason, "needs_confirmation");
+  });
+
+  it("falls back to keyword analysis when the LLM is down", async () => {
+    harness.fakes.fail("llm", { status: 503 });
+    const payload = callPayload({ transcript: "Great service, thank you!" });
+
+    const response = await harness.webhook(payload);
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.enrichment.provider, "keyword");
+    assert.equal(response.body.enrichment.sentiment, "Positive");
+  });
+
+  it("retries an email Brevo turned down", async () => {
+    harness.fakes.fail("brevo", { status: 502, body: { code: "bad_gateway", message: "upstream" } });
+    const payload = callPayload();
+
+    await harness.webhook(payload);
+    await harness.flushMail();
+    // the harness backs off for a millisecond or two
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    await harness.flushMail();
+
+    const attempts = harness.fakes.state.requests.filter((request) => request.path === "/brevo/v3/smtp/email");
+    assert.equal(attempts.length, 2);
+    assert.equal(harness.fakes.state.emails.length, 1);
+    const { email } = harness.callStore.getCall(payload.id).actions;
+    assert.equal(email.status, "sent");
+    assert.deepEqual(
+      email.attempts.map((attempt) => attempt.status),
+      ["queued", "retrying", "sent"]
+    );
+  });
+
+  it("waits for the call to end before doing anything", async () => {
+    const payload = callPayload({ status: "in-progress" });
+
+    const response = await harness.webhook(payload);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.message, "Call not completed, email skipped");
+    assert.equal(harness.fakes.state.llm.length, 0);
+    assert.equal(harness.callStore.getCall(payload.id).status, "in-progress");
+  });
+
+  it("handles a completed call whose in-progress update never came", async () => {
+    const payload = callPayload();
+    const now = Math.floor(Date.now() / 1000);
+
+    await harness.webhook({ ...payload, status: "ringing" }, { timestamp: now });
+    const response = await harness.webhook(payload, { timestamp: now + 1 });
+    await harness.flushMail();
+
+    assert.equal(response.status, 202);
+    assert.equal(response.body.ignored, undefined);
+    assert.equal(harness.fakes.state.emails.length, 1);
+    assert.equal(harness.callStore.getCall(payload.id).status, "completed");
+  });
+
+  it("ignores updates after the call has ended", async () => {
+    const payload = callPayload({ status: "no-answer" });
+    const now = Math.floor(Date.now() / 1000);
+
+    await harness.webhook(payload, { timestamp: now });
+    const response = await harness.webhook({ ...payload, status: "in-progress" }, { timestamp: now + 1 });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.ignored, true);
+    assert.equal(harness.callStore.getCall(payload.id).status, "no-answer");
+  });
+
+  it("sends the missed-call message when nobody answers", async () => {
+    const payload = callPayload({ status: "no-answer" });
+    delete payload.extracted_data;
+
+    const response = await harness.webhook(payload);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.message, "Call ended as no-answer");
+    const [notify, callback] = response.body.actions;
+    assert.equal(notify.type, "notify");
+    assert.equal(callback.type, "callback");
+    assert.equal(harness.fakes.state.whatsapp.length, 1);
+    assert.equal(harness.fakes.state.whatsapp[0].template.name, "missed_call");
+    assert.equal(harness.fakes.state.whatsapp[0].to, "919876543210");
+  });
+});
@@ -0,0 +1,147 @@
+const express = require("express");
+
+// One local HTTP server standing in for every upstream the app talks to:
+//
+//   /brevo       Brevo transactional email (POST /v3/smtp/email)
+//   /salesforce  OAuth token + REST (query, RecordType, Contact, Case)
+//   /graph       WhatsApp Cloud API (POST /:version/:phoneNumberId/messages)
+//   /llm         OpenAI-compatible chat completions
+//
+// Everything it receives is kept in `requests`, and what it created in
+// `emails`, `contacts`, `cases` and `whatsapp`, for the tests to assert on.
+// `fail(service, response, times)` makes the next calls to a service fail.
+function createFakes() {
+  const state = {
+    requests: [],
+    emails: [],
+    contacts: [],
+    cases: [],
+    whatsapp: [],
+    llm: [],
+    failures: {},
+    // Case record types the org has, by "SobjectType.DeveloperName"
+    recordTypes: { "Case.Dealer_Support": "012FAKE000000001" },
+    // what the stand-in LLM answers for a transcript
+    analyze: (transcript) => ({
+      translatedText: `[en] ${transcript}`,
+      sentiment: /disappointed|unacceptable|gussa|गुस्सा/i.test(transcript) ? "Negative" : "Positive",
+      confidence: 0.9,
+    }),
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  app.use((req, res, next) => {
+    state.requests.push({ method: req.method, path: req.path, headers: req.headers, body: req.body });
+    next();
+  });
+
+  // `service` answers with the queued failure, if there is one
+  const failable = (service) => (req, res, next) => {
+    const failure = state.failures[service];
+    if (!failure?.times) return next();
+    failure.times -= 1;
+    res.status(failure.status).json(failure.body);
+  };
+
+  app.post("/brevo/v3/smtp/email", failable("brevo"), (req, res) => {
+    const messageId = `<brevo-${state.emails.length + 1}@fake>`;
+    state.emails.push({ ...req.body, messageId, apiKey: req.get("api-key") });
+    res.status(201).json({ messageId });
+  });
+
+  app.post("/salesforce/services/oauth2/token", failable("salesforce"), (req, res) => {
+    res.json({ access_token: "fake-sf-token", token_type: "Bearer", expires_in: 3600 });
+  });
+
+  const salesforce = express.Router();
+  salesforce.use(failable("salesforce"));
+
+  salesforce.get("/query", (req, res) => {
+    const q = String(req.query.q);
+    if (/FROM RecordType/.test(q)) {
+      const name = `${q.match(/SobjectType = '([^']+)'/)?.[1]}.${q.match(/DeveloperName = '([^']+)'/)?.[1]}`;
+      const records = state.recordTypes[name] ? [{ Id: state.recordTypes[name] }] : [];
+      return res.json({ totalSize: records.length, done: true, records });
+    }
+
+    const email = q.match(/Email = '([^']+)'/)?.[1];
+    const phones = [...(q.match(/MobilePhone IN \(([^)]+)\)/)?.[1] || "").matchAll(/'([^']+)'/g)].map((m) => m[1]);
+    const records = state.contacts.filter(
+      (contact) => (email && contact.Email === email) || (phones.length && phones.includes(contact.MobilePhone))
+    );
+    res.json({ totalSize: records.length, done: true, records: records.slice(0, 1) });
+  });
+
+  salesforce.post("/sobjects/Contact", (req, res) => {
+    const contact = { Id: `003FAKE${String(state.contacts.length + 1).padStart(8, "0")}`, ...req.body };
+    state.contacts.push(contact);
+    res.status(201).json({ id: contact.Id, success: true, errors: [] });
+  });
+
+  salesforce.patch("/sobjects/Contact/:id", (req, res) => {
+    const contact = state.contacts.find((stored) => stored.Id === req.params.id);
+    if (!contact) return res.status(404).json([{ errorCode: "NOT_FOUND" }]);
+    Object.assign(contact, req.body);
+    res.sendStatus(204);
+  });
+
+  salesforce.post("/sobjects/Case", (req, res) => {
+    const record = {
+      Id: `500FAKE${String(state.cases.length + 1).padStart(8, "0")}`,
+      CaseNumber: String(1000 + state.cases.length + 1).padStart(8, "0"),
+      ...req.body,
+    };
+    state.cases.push(record);
+    res.status(201).json({ id: record.Id, success: true, errors: [] });
+  });
+
+  salesforce.get("/sobjects/Case/:id", (req, res) => {
+    const record = state.cases.find((stored) => stored.Id === req.params.id);
+    if (!record) return res.status(404).json([{ errorCode: "NOT_FOUND" }]);
+    res.json({ Id: record.Id, CaseNumber: record.CaseNumber });
+  });
+
+  app.use("/salesforce/services/data/:version", salesforce);
+
+  app.post("/graph/:version/:phoneNumberId/messages", failable("whatsapp"), (req, res) => {
+    const id = `wamid.FAKE${state.whatsapp.length + 1}`;
+    state.whatsapp.push({ id, phoneNumberId: req.params.phoneNumberId, ...req.body });
+    res.json({ messaging_product: "whatsapp", contacts: [{ wa_id: req.body.to }], messages: [{ id }] });
+  });
+
+  app.post("/llm/chat/completions", failable("llm"), (req, res) => {
+    const transcript = req.body.messages.find((message) => message.role === "user")?.content || "";
+    state.llm.push(transcript);
+    res.json({
+      choices: [{ message: { role: "assistant", content: JSON.stringify(state.analyze(transcript)) } }],
+    });
+  });
+
+  return {
+    state,
+    fail(service, { status = 500, body = { error: "fake failure" } } = {}, times = 1) {
+      state.failures[service] = { status, body, times };
+    },
+    reset() {
+      for (const key of ["requests", "emails", "contacts", "cases", "whatsapp", "llm"]) state[key].length = 0;
+      state.failures = {};
+    },
+    listen() {
+      return new Promise((resolve) => {
+        const server = app.listen(0, "127.0.0.1", () => {
+          this.url = `http://127.0.0.1:${server.address().port}`;
+          this.server = server;
+          resolve(this);
+        });
+      });
+    },
+    close() {
+      return new Promise((resolve) => this.server.close(resolve));
+    },
+  };
+}
+
+module.exports = { createFakes };
@@ -0,0 +1,144 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakes } = require("./fakes");
+
+const ROOT = path.join(__dirname, "..", "..");
+const WEBHOOK_SECRET = "test-webhook-secret";
+const ADMIN_API_KEY = "test-admin-key";
+
+// Boots the app in-process against the fake upstreams and a throwaway
+// DATA_DIR. The config is read once, when the app is first required, so this
+// runs once per test file (node --test gives each file its own process).
+async function startHarness(env = {}) {
+  if (require.cache[require.resolve(path.join(ROOT, "app"))]) {
+    throw new Error("startHarness() can only run once per test file");
+  }
+  const fakes = await createFakes().listen();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "bolna-test-"));
+
+  Object.assign(process.env, {
+    APP_ENV: "test",
+    DATA_DIR: dataDir,
+    WEBHOOK_SECRET,
+    ADMIN_API_KEY,
+    MAIL_TRANSPORT: "brevo",
+    BREVO_API_KEY: "fake-brevo-key",
+    BREVO_API_URL: `${fakes.url}/brevo/v3`,
+    MAIL_QUEUE_BASE_DELAY_MS: "1",
+    MAIL_QUEUE_MAX_DELAY_MS: "1",
+    EMAIL_USER: "support@example.com",
+    FEEDBACK_FORM_URL: "https://forms.example.com/feedback",
+    ENRICHMENT_PROVIDER: "openai",
+    OPENAI_API_KEY: "fake-llm-key",
+    OPENAI_BASE_URL: `${fakes.url}/llm`,
+    SF_LOGIN_URL: `${fakes.url}/salesforce`,
+    SF_INSTANCE_URL: `${fakes.url}/salesforce`,
+    SF_CLIENT_ID: "fake-client",
+    SF_CLIENT_SECRET: "fake-secret",
+    SF_USERNAME: "integration@example.com",
+    SF_PASSWORD: "fake-password",
+    WHATSAPP_API_URL: `${fakes.url}/graph`,
+    WHATSAPP_ACCESS_TOKEN: "fake-wa-token",
+    WHATSAPP_PHONE_NUMBER_ID: "1000000001",
+    SUPPORT_PHONE: "1800-000-000",
+    ...env,
+  });
+
+  const { problems } = require(path.join(ROOT, "utils/config"));
+  if (problems.length) throw new Error(`Test config is invalid: ${JSON.stringify(problems)}`);
+
+  const app = require(path.join(ROOT, "app"));
+  const mailQueue = require(path.join(ROOT, "utils/mailQueue"));
+  const callStore = require(path.join(ROOT, "utils/callStore"));
+  const { signPayload } = require(path.join(ROOT, "utils/verifyWebhook"));
+  callStore.trackMailQueue(mailQueue.events);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, urlPath, { body, headers = {} } = {}) {
+    const raw = body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body);
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method,
+      headers: { ...(raw && { "Content-Type": "application/json" }), ...headers },
+      body: raw,
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // HTML / CSV responses
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  }
+
+  return {
+    fakes,
+    callStore,
+    mailQueue,
+    baseUrl,
+    request,
+
+    // POSTs a payload to /webhook signed the way Bolna signs it. A retry
+    // needs its own `timestamp`, or the signature guard sees a replay.
+    webhook(payload, { headers = {}, sign = true, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+      const body = JSON.stringify(payload);
+      const signature = sign
+        ? {
+            "X-Webhook-Timestamp": String(timestamp),
+            "X-Webhook-Signature": signPayload(body, WEBHOOK_SECRET, String(timestamp)),
+          }
+        : {};
+      return request("POST", "/webhook", { body, headers: { ...signature, ...headers } });
+    },
+
+    admin(method, urlPath, body) {
+      return request(method, urlPath, { body, headers: { Authorization: `Bearer ${ADMIN_API_KEY}` } });
+    },
+
+    // sends whatever the mail queue has due, as the background worker would
+    flushMail() {
+      return mailQueue.processDueJobs();
+    },
+
+    async close() {
+      mailQueue.stop();
+      await new Promise((resolve) => server.close(resolve));
+      await fakes.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// A completed Bolna call; `overrides` are merged over the top level and
+// `extracted` over extracted_data.
+let sequence = 0;
+function callPayload({ extracted = {}, ...overrides } = {}) {
+  sequence += 1;
+  return {
+    id: `test-call-${process.pid}-${sequence}`,
+    agent_id: "test-agent",
+    status: "completed",
+    transcript: "The technician was very helpful, thank you.",
+    telephony_data: { recording_url: "https://example.com/recording.mp3", to_number: "+919876543210" },
+    ...overrides,
+    extracted_data: {
+      user_name: "Asha Verma",
+      email: "asha.verma@example.com",
+      mobile: "9876543210",
+      rate: 9,
+      ...extracted,
+    },
+  };
+}
+
+module.exports = {
+  startHarness,
+  callPayload,
+  WEBHOOK_SECRET,
+  ADMIN_API_KEY,
+};
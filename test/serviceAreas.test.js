@@ -0,0 +1,92 @@
+process.env.APP_ENV = "test";
+
+const path = require("path");
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadServiceAreas, lookupPincode, promisedVisit, assignServiceArea } = require("../utils/serviceAreas");
+
+const areas = {
+  tiers: {
+    city: { label: { en: "City", hi: "शहर" }, slaHours: 24 },
+    upcountry: { label: { en: "Upcountry" }, slaHours: 72 },
+  },
+  visitSlotHours: 2,
+  fallback: { id: "NATIONAL", tier: "upcountry", serviceCenter: "National Desk", technicianPool: "NATIONAL" },
+  territories: [
+    { id: "JPR-CITY", city: "Jaipur", tier: "city", serviceCenter: "Jaipur Centre", technicianPool: "JPR", pincodes: ["302001-302040"] },
+    { id: "JPR-WALLED", city: "Jaipur", tier: "city", slaHours: 8, serviceCenter: "Walled City Desk", technicianPool: "JPR-W", pincodes: ["302002"] },
+    { id: "RAJ-UPC", tier: "upcountry", serviceCenter: "Rajasthan Regional", technicianPool: "RAJ-UPC", pincodes: ["30", "31"] },
+  ],
+};
+
+describe("service areas", () => {
+  it("picks the narrowest territory covering a pincode", () => {
+    assert.equal(lookupPincode("302019", areas).territory, "JPR-CITY");
+    assert.equal(lookupPincode("302002", areas).territory, "JPR-WALLED");
+    assert.equal(lookupPincode("305001", areas).territory, "RAJ-UPC");
+  });
+
+  it("takes the SLA from the tier unless the territory sets its own", () => {
+    assert.deepEqual(lookupPincode("302019", areas), {
+      pincode: "302019",
+      territory: "JPR-CITY",
+      city: "Jaipur",
+      tier: "city",
+      label: { en: "City", hi: "शहर" },
+      slaHours: 24,
+      serviceCenter: "Jaipur Centre",
+      technicianPool: "JPR",
+      matched: true,
+    });
+    assert.equal(lookupPincode("302002", areas).slaHours, 8);
+    assert.equal(lookupPincode("305001", areas).slaHours, 72);
+  });
+
+  it("falls back for pincodes outside every territory", () => {
+    for (const pincode of ["560001", "12345", null]) {
+      const area = lookupPincode(pincode, areas);
+      assert.equal(area.territory, "NATIONAL");
+      assert.equal(area.matched, false);
+      assert.equal(area.slaHours, 72);
+    }
+  });
+
+  it("promises a visit within the SLA", () => {
+    const visit = promisedVisit({ requestedAt: "2026-01-20T04:30:00.000Z", slaHours: 24 });
+
+    assert.deepEqual(visit, {
+      from: "2026-01-20T04:30:00.000Z",
+      to: "2026-01-21T04:30:00.000Z",
+      dueBy: "2026-01-21T04:30:00.000Z",
+      withinSla: true,
+    });
+  });
+
+  it("keeps the customer's preferred time as a slot, even past the SLA", () => {
+    const requestedAt = "2026-01-20T04:30:00.000Z";
+
+    const soon = assignServiceArea({ pincode: "302019", preferredAt: "2026-01-20T10:30:00.000Z", requestedAt }, areas);
+    assert.equal(soon.visit.from, "2026-01-20T10:30:00.000Z");
+    assert.equal(soon.visit.to, "2026-01-20T12:30:00.000Z");
+    assert.equal(soon.visit.withinSla, true);
+
+    const late = assignServiceArea({ pincode: "302019", preferredAt: "2026-01-25T05:30:00.000Z", requestedAt }, areas);
+    assert.equal(late.visit.from, "2026-01-25T05:30:00.000Z");
+    assert.equal(late.visit.withinSla, false);
+
+    // a time already gone is ignored
+    const past = assignServiceArea({ pincode: "302019", preferredAt: "2026-01-19T05:30:00.000Z", requestedAt }, areas);
+    assert.equal(past.visit.from, requestedAt);
+  });
+
+  it("ships a dataset covering the metros and every postal zone", () => {
+    const shipped = loadServiceAreas(path.join(__dirname, "..", "config", "service-areas.json"));
+
+    assert.equal(lookupPincode("110001", shipped).territory, "DEL-CITY");
+    assert.equal(lookupPincode("400001", shipped).tier, "city");
+    for (const zone of "12345678") {
+      assert.equal(lookupPincode(`${zone}99999`, shipped).tier, "upcountry");
+      assert.equal(lookupPincode(`${zone}99999`, shipped).matched, true);
+    }
+  });
+});
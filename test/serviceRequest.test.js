@@ -0,0 +1,212 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startHarness, callPayload } = require("./helpers/harness");
+
+// The G&B service-booking calls the old manual webhook script used to send.
+const cases = [
+  {
+    name: "Hindi transcript, positive",
+    extracted: {
+      user_name: "Test User",
+      mobile: "9876543210",
+      pincode: "110001",
+      technician_visit_date: "kal subah",
+      issuedesc: "AC not working",
+      fulladdress: "123 Test Street, Delhi",
+    },
+    transcript: "मेरा AC काम नहीं कर रहा है। कृपया जल्दी से technician भेजें। आपकी सेवा बहुत अच्छी है।",
+  },
+  {
+    name: "English transcript, negative",
+    extracted: {
+      user_name: "John Doe",
+      mobile: "9123456789",
+      pincode: "560001",
+      technician_visit_date: "परसों शाम 4 बजे",
+      issuedesc: "Washing machine leaking",
+      fulladdress: "456 Main Road, Bangalore",
+    },
+    transcript:
+      "I am very disappointed with your service. The washing machine is still leaking after the last repair. This is unacceptable!",
+  },
+  {
+    name: "mixed language",
+    extracted: {
+      user_name: "Priya Sharma",
+      mobile: "9988776655",
+      pincode: "400001",
+      technician_visit_date: "next monday 11am",
+      issuedesc: "Refrigerator issue",
+      fulladdress: "789 Park Avenue, Mumbai",
+    },
+    transcript: "Hello, मुझे refrigerator में problem है। Please send someone to check it.",
+  },
+  {
+    name: "empty transcript",
+    extracted: {
+      user_name: "Test Empty",
+      mobile: "9000000000",
+      pincode: "600001",
+      technician_visit_date: "day after tomorrow 9am",
+      issuedesc: "General inquiry",
+      fulladdress: "000 Test Street, Chennai",
+    },
+    transcript: "",
+  },
+];
+
+function servicePayload({ extracted, transcript }) {
+  const payload = callPayload({ use_case: "service-request", transcript, extracted });
+  delete payload.extracted_data.email;
+  delete payload.extracted_data.rate;
+  return payload;
+}
+
+describe("service request workflow", () => {
+  let harness;
+
+  before(async () => {
+    harness = await startHarness();
+  });
+  after(() => harness.close());
+  beforeEach(() => harness.fakes.reset());
+
+  for (const testCase of cases) {
+    it(`opens a Case and sends WhatsApp for ${testCase.name}`, async () => {
+      const payload = servicePayload(testCase);
+      const { fakes } = harness;
+
+      const response = await harness.webhook(payload);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.workflow, "serviceRequest");
+
+      // Salesforce: one Contact and one High-priority Case linked to it
+      assert.equal(fakes.state.contacts.length, 1);
+      assert.equal(fakes.state.contacts[0].MobilePhone, testCase.extracted.mobile);
+      assert.equal(fakes.state.cases.length, 1);
+      const [record] = fakes.state.cases;
+      assert.equal(record.Subject, "G&B Service Update");
+      assert.equal(record.Priority, "High");
+      assert.equal(record.ContactId, fakes.state.contacts[0].Id);
+      assert.match(record.Description, new RegExp(testCase.extracted.issuedesc));
+      assert.deepEqual(response.body.salesforceResponse, {
+        caseId: record.Id,
+        caseNumber: record.CaseNumber,
+        contactId: fakes.state.contacts[0].Id,
+      });
+
+      // no email address was given, so WhatsApp is the only channel used
+      assert.equal(response.body.notifications.email.status, "skipped");
+      assert.equal(response.body.notifications.whatsapp.status, "sent");
+      assert.equal(response.body.notifications.sms.reason, "not_configured");
+      assert.equal(fakes.state.whatsapp.length, 1);
+      const [message] = fakes.state.whatsapp;
+      assert.equal(message.to, `91${testCase.extracted.mobile}`);
+      assert.equal(message.template.name, "gb_service_update");
+      assert.ok(
+        message.template.components[0].parameters.some(({ text }) => text === `Case ID: SR-${record.CaseNumber}`)
+      );
+
+      // the pincode's territory sets the SLA and the promised visit
+      const area = response.body.serviceArea;
+      assert.equal(area.pincode, testCase.extracted.pincode);
+      assert.equal(area.tier, "city");
+      assert.equal(area.slaHours, 24);
+      assert.match(record.Description, new RegExp(`Territory: ${area.territory} \\(City, 24h SLA\\)`));
+      assert.match(record.Description, new RegExp(`Service Centre: ${area.serviceCenter}`));
+      const { parameters } = message.template.components[0];
+      assert.equal(parameters.length, 6);
+      assert.match(
+        parameters[4].text,
+        new RegExp(`^Service Time: .+ · Service Centre: ${area.serviceCenter} \\(City – Technician visit within 24 hours\\)$`)
+      );
+
+      // the call record ties it together
+      const call = harness.callStore.getCall(payload.id);
+      assert.equal(call.flow, "serviceRequest");
+      assert.equal(call.responseStatus, 200);
+      assert.equal(call.actions.case.status, "created");
+      assert.equal(call.actions.whatsapp.status, "sent");
+      assert.deepEqual(call.serviceArea, area);
+      assert.ok(new Date(call.extracted.technician_visit_date) > new Date(), "visit date is in the future");
+    });
+  }
+
+  it("rejects a call with missing booking details", async () => {
+    const payload = servicePayload(cases[0]);
+    delete payload.extracted_data.pincode;
+    delete payload.extracted_data.fulladdress;
+
+    const response = await harness.webhook(payload);
+
+    assert.equal(response.status, 422);
+    assert.equal(response.body.code, "VALIDATION_FAILED");
+    assert.deepEqual(response.body.errors.map((error) => error.field).sort(), ["fullAddress", "pincode"]);
+    assert.equal(harness.fakes.state.cases.length, 0);
+    assert.equal(harness.callStore.getCall(payload.id).responseStatus, 422);
+  });
+
+  it("books the visit even when the email address was garbled", async () => {
+    const payload = servicePayload(cases[0]);
+    payload.extracted_data.email = "asha verma";
+
+    const response = await harness.webhook(payload);
+
+    assert.equal(response.status, 200);
+    assert.equal(harness.fakes.state.cases.length, 1);
+    assert.equal(response.body.notifications.email.reason, "no_address");
+    assert.equal(response.body.notifications.whatsapp.status, "sent");
+    assert.equal(response.body.emailConfirmation.needed, true);
+    assert.ok(response.body.emailConfirmation.candidates.length > 0);
+  });
+
+  it("opens one Case however often Bolna retries", async () => {
+    const payload = servicePayload(cases[2]);
+
+    const first = await harness.webhook(payload);
+    const retry = await harness.webhook(payload, { timestamp: Math.floor(Date.now() / 1000) + 1 });
+
+    assert.equal(first.status, 200);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(retry.body, first.body);
+    assert.equal(harness.fakes.state.cases.length, 1);
+    assert.equal(harness.fakes.state.whatsapp.length, 1);
+  });
+
+  it("gives upcountry pincodes the longer SLA", async () => {
+    const payload = servicePayload(cases[0]);
+    payload.extracted_data.pincode = "305001";
+
+    const response = await harness.webhook(payload);
+
+    const area = response.body.serviceArea;
+    assert.equal(area.territory, "WEST-UPC");
+    assert.equal(area.tier, "upcountry");
+    assert.equal(area.slaHours, 72);
+    assert.equal(area.serviceCenter, "G&B Regional Service Centre, Mumbai");
+    assert.equal(area.visit.withinSla, true);
+    assert.match(harness.fakes.state.cases[0].Description, /Technician Pool: WEST-UPC/);
+  });
+
+  it("emails the service update too when the caller gave an address", async () => {
+    const payload = servicePayload(cases[0]);
+    payload.extracted_data.email = "test.user@example.com";
+
+    const response = await harness.webhook(payload);
+    await harness.flushMail();
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.notifications.email.status, "queued");
+    assert.equal(harness.fakes.state.emails.length, 1);
+    const [email] = harness.fakes.state.emails;
+    assert.deepEqual(email.to, [{ email: "test.user@example.com" }]);
+    assert.match(email.htmlContent, /AC not working/);
+    // a Hindi call, so a Hindi email
+    assert.match(email.htmlContent, /<b>SLA:<\/b> शहर – 24 घंटे के भीतर टेक्नीशियन विज़िट/);
+    assert.match(email.htmlContent, /<b>सर्विस सेंटर:<\/b> G&amp;B Service Centre, Delhi/);
+    assert.match(email.htmlContent, /<b>विज़िट का समय:<\/b> .+ – .+/);
+    assert.equal(harness.callStore.getCall(payload.id).actions.email.status, "sent");
+  });
+});
@@ -0,0 +1,31 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const parseSpokenDate = require("../utils/spokenToDate");
+
+// 13:30 IST on Monday 19 October 2026
+const now = new Date("2026-10-19T08:00:00Z");
+
+describe("spoken visit dates", () => {
+  it("reads relative days and parts of the day in IST", () => {
+    assert.deepEqual(parseSpokenDate("kal subah", { now }), { value: "2026-10-20T10:00:00+05:30", error: null });
+    assert.equal(parseSpokenDate("परसों शाम 4 बजे", { now }).value, "2026-10-21T16:00:00+05:30");
+    assert.equal(parseSpokenDate("tomorrow 3pm", { now }).value, "2026-10-20T15:00:00+05:30");
+  });
+
+  it("gives today without a time the next slot once 10:00 has gone", () => {
+    assert.deepEqual(parseSpokenDate("aaj", { now }), { value: "2026-10-19T14:00:00+05:30", error: null });
+    assert.equal(parseSpokenDate("today", { now }).value, "2026-10-19T14:00:00+05:30");
+    assert.equal(parseSpokenDate("आज", { now: new Date("2026-10-19T03:00:00Z") }).value, "2026-10-19T10:00:00+05:30");
+  });
+
+  it("moves today to tomorrow morning after the last slot", () => {
+    const evening = new Date("2026-10-19T13:00:00Z"); // 18:30 IST
+
+    assert.equal(parseSpokenDate("aaj", { now: evening }).value, "2026-10-20T10:00:00+05:30");
+  });
+
+  it("still rejects a time today that has passed", () => {
+    assert.equal(parseSpokenDate("aaj subah", { now }).value, null);
+    assert.match(parseSpokenDate("today 11am", { now }).error, /in the past/);
+  });
+});
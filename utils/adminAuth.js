@@ -0,0 +1,39 @@
+const { config } = require("./config");
+const { safeEqual } = require("./verifyWebhook");
+const log = require("./logger").child({ module: "adminAuth" });
+
+// Accepts the key as `Authorization: Bearer <key>` or `x-admin-key: <key>`.
+function readKey(req) {
+  const auth = req.get("authorization") || "";
+  if (/^bearer /i.test(auth)) return auth.slice(7).trim();
+  return req.get("x-admin-key") || "";
+}
+
+// Guards the admin API with the shared ADMIN_API_KEY. Like the webhook guard,
+// it fails closed when no key is configured.
+function requireAdmin(options = {}) {
+  const apiKey = options.apiKey ?? config.ADMIN_API_KEY;
+
+  return function adminGuard(req, res, next) {
+    if (!apiKey) {
+      log.error("ADMIN_API_KEY is not configured, rejecting admin request");
+      return res.status(500).json({
+        success: false,
+        code: "ADMIN_KEY_NOT_CONFIGURED",
+        error: "Admin API is not configured",
+      });
+    }
+
+    const key = readKey(req);
+    if (!key) {
+      return res.status(401).json({ success: false, code: "ADMIN_KEY_MISSING", error: "Missing admin API key" });
+    }
+    if (!safeEqual(key, apiKey)) {
+      return res.status(401).json({ success: false, code: "ADMIN_KEY_INVALID", error: "Invalid admin API key" });
+    }
+
+    next();
+  };
+}
+
+module.exports = requireAdmin;
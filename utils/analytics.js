@@ -0,0 +1,208 @@
+const callStore = require("./callStore");
+
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const SENTIMENTS = ["Positive", "Neutral", "Negative"];
+const GROUPINGS = ["day", "week", "region", "product"];
+
+// Indian PIN codes: the first digit is the postal zone.
+const PIN_ZONES = {
+  1: "North (Delhi, Haryana, Punjab, HP, J&K)",
+  2: "North (UP, Uttarakhand)",
+  3: "West (Rajasthan, Gujarat)",
+  4: "West (Maharashtra, MP, Chhattisgarh, Goa)",
+  5: "South (AP, Telangana, Karnataka)",
+  6: "South (Tamil Nadu, Kerala)",
+  7: "East (West Bengal, Odisha, North East)",
+  8: "East (Bihar, Jharkhand)",
+  9: "Army Postal Service",
+};
+
+function regionForPincode(pincode) {
+  const match = String(pincode ?? "").match(/^[1-9]\d{5}$/);
+  return match ? PIN_ZONES[match[0][0]] : "Unknown";
+}
+
+// NPS buckets on the 0–10 scale
+function npsCategory(rating) {
+  if (rating >= 9) return "promoter";
+  if (rating >= 7) return "passive";
+  return "detractor";
+}
+
+function parseRating(value) {
+  if (value === "" || value == null) return null;
+  const rating = Number(value);
+  return Number.isFinite(rating) && rating >= 0 && rating <= 10 ? rating : null;
+}
+
+function istDate(iso) {
+  return new Date(new Date(iso).getTime() + IST_OFFSET_MS);
+}
+
+function dayKey(iso) {
+  return istDate(iso).toISOString().slice(0, 10);
+}
+
+// ISO-8601 week of the IST calendar date, e.g. "2026-W03"
+function weekKey(iso) {
+  const date = istDate(iso);
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day.getTime() - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+// One flat row per completed feedback call
+function toResponse(call) {
+  const extracted = call.extracted || {};
+  return {
+    callId: call.callId,
+    receivedAt: call.receivedAt,
+    rating: parseRating(extracted.rate ?? extracted.rating),
+    sentiment: call.enrichment?.sentiment || null,
+    pincode: extracted.pincode || null,
+    region: regionForPincode(extracted.pincode),
+    product: extracted.product || "Unknown",
+    language: call.language || null,
+  };
+}
+
+function loadResponses({ from, to } = {}) {
+  return callStore
+    .findCalls({ flow: "feedback", status: "completed", from, to, limit: Infinity })
+    .map(toResponse);
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+function summarize(responses) {
+  const ratings = responses.map((response) => response.rating).filter((rating) => rating !== null);
+
+  const histogram = Object.fromEntries(Array.from({ length: 11 }, (_, score) => [score, 0]));
+  const nps = { promoters: 0, passives: 0, detractors: 0 };
+  for (const rating of ratings) {
+    histogram[Math.round(rating)] += 1;
+    nps[`${npsCategory(rating)}s`] += 1;
+  }
+
+  const sentiment = Object.fromEntries([...SENTIMENTS, "Unknown"].map((name) => [name, 0]));
+  for (const response of responses) {
+    sentiment[SENTIMENTS.includes(response.sentiment) ? response.sentiment : "Unknown"] += 1;
+  }
+
+  return {
+    responses: responses.length,
+    rated: ratings.length,
+    averageRating: ratings.length ? round(ratings.reduce((sum, r) => sum + r, 0) / ratings.length) : null,
+    nps: {
+      score: ratings.length ? Math.round(((nps.promoters - nps.detractors) / ratings.length) * 100) : null,
+      ...nps,
+    },
+    ratingHistogram: histogram,
+    sentiment,
+  };
+}
+
+const groupKeys = {
+  day: (response) => dayKey(response.receivedAt),
+  week: (response) => weekKey(response.receivedAt),
+  region: (response) => response.region,
+  product: (response) => response.product,
+};
+
+function groupResponses(responses, groupBy) {
+  if (!groupKeys[groupBy]) {
+    throw new Error(`Unknown grouping "${groupBy}" (expected one of ${GROUPINGS.join(", ")})`);
+  }
+
+  const groups = new Map();
+  for (const response of responses) {
+    const key = groupKeys[groupBy](response);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(response);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, items]) => ({ [groupBy]: key, ...summarize(items) }));
+}
+
+// { summary, groups } for completed feedback calls received between from/to
+function feedbackAnalytics({ from, to, groupBy } = {}) {
+  const responses = loadResponses({ from, to });
+  return {
+    summary: summarize(responses),
+    ...(groupBy && { groupBy, groups: groupResponses(responses, groupBy) }),
+  };
+}
+
+function csvCell(value) {
+  if (value == null) return "";
+  let text = String(value);
+  // keep spreadsheet apps from evaluating caller-supplied text as a formula
+  if (/^[=+\-@]/.test(text) && !/^-?\d/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// CSV with one row per group, histogram and sentiment spread into columns
+function groupsToCsv(groups, groupBy) {
+  const rows = groups.map(({ nps, ratingHistogram, sentiment, ...group }) => ({
+    ...group,
+    nps: nps.score,
+    promoters: nps.promoters,
+    passives: nps.passives,
+    detractors: nps.detractors,
+    ...Object.fromEntries(Object.entries(ratingHistogram).map(([score, count]) => [`rating_${score}`, count])),
+    ...Object.fromEntries(Object.entries(sentiment).map(([name, count]) => [name.toLowerCase(), count])),
+  }));
+
+  const columns = [
+    groupBy,
+    "responses",
+    "rated",
+    "averageRating",
+    "nps",
+    "promoters",
+    "passives",
+    "detractors",
+    ...Array.from({ length: 11 }, (_, score) => `rating_${score}`),
+    ...[...SENTIMENTS, "Unknown"].map((name) => name.toLowerCase()),
+  ];
+  return toCsv(rows, columns);
+}
+
+function responsesToCsv(responses) {
+  return toCsv(responses, [
+    "callId",
+    "receivedAt",
+    "rating",
+    "sentiment",
+    "pincode",
+    "region",
+    "product",
+    "language",
+  ]);
+}
+
+module.exports = {
+  GROUPINGS,
+  regionForPincode,
+  npsCategory,
+  summarize,
+  groupResponses,
+  loadResponses,
+  feedbackAnalytics,
+  groupsToCsv,
+  responsesToCsv,
+};
@@ -0,0 +1,60 @@
+// Bolna has used different keys for the call identifier across payload versions
+function getCallId(body) {
+  if (!body || typeof body !== "object") return null;
+
+  const id =
+    body.id ||
+    body.execution_id ||
+    body.call_id ||
+    body.telephony_data?.call_sid ||
+    null;
+
+  return id ? String(id) : null;
+}
+
+function getAgentId(body) {
+  const id = body?.agent_id || body?.agentId || null;
+  return id ? String(id) : null;
+}
+
+// The use case can be set per call when it is placed (recipient data) or by
+// the agent itself (extracted data).
+function getUseCase(body) {
+  if (!body || typeof body !== "object") return null;
+
+  const useCase =
+    body.use_case ||
+    body.context_details?.recipient_data?.use_case ||
+    body.extracted_data?.use_case ||
+    null;
+
+  return useCase ? String(useCase).trim().toLowerCase() : null;
+}
+
+// Who was called. extracted_data is usually empty when nobody picked up, so
+// fall back on the recipient data the call was placed with.
+function getRecipient(body) {
+  if (!body || typeof body !== "object") return { name: null, email: null, mobile: null };
+
+  const extracted = body.extracted_data || {};
+  const recipient = body.context_details?.recipient_data || {};
+
+  return {
+    name: extracted.user_name || recipient.user_name || recipient.name || null,
+    email: extracted.email || recipient.email || null,
+    mobile:
+      extracted.mobile ||
+      recipient.mobile ||
+      body.context_details?.recipient_phone_number ||
+      body.user_number ||
+      body.telephony_data?.to_number ||
+      null,
+  };
+}
+
+module.exports = {
+  getCallId,
+  getAgentId,
+  getUseCase,
+  getRecipient,
+};
@@ -0,0 +1,189 @@
+const fs = require("fs");
+const callStore = require("./callStore");
+const { notify } = require("./notify");
+const { scheduleCallback } = require("./callbackScheduler");
+const { getCallId } = require("./bolnaPayload");
+const { config } = require("./config");
+const log = require("./logger").child({ module: "callLifecycle" });
+
+const ACTIONS_FILE = config.CALL_STATUS_ACTIONS_FILE;
+
+const STATES = [
+  "queued",
+  "ringing",
+  "in-progress",
+  "call-disconnected",
+  "completed",
+  "no-answer",
+  "busy",
+  "failed",
+];
+
+const TERMINAL_STATES = ["call-disconnected", "completed", "no-answer", "busy", "failed"];
+
+// Forward moves between live states. Any live state may also end in any
+// terminal state: an earlier update can be lost or arrive late, and a
+// "completed" we drop is a call nobody hears back about.
+const TRANSITIONS = {
+  queued: ["ringing", "in-progress"],
+  ringing: ["in-progress"],
+  "in-progress": [],
+  // Bolna reports the hang-up first and "completed" once extraction is done
+  "call-disconnected": ["completed"],
+  completed: [],
+  "no-answer": [],
+  busy: [],
+  failed: [],
+};
+
+// spellings seen from Bolna and the telephony providers behind it
+const ALIASES = {
+  initiated: "queued",
+  scheduled: "queued",
+  in_progress: "in-progress",
+  "in progress": "in-progress",
+  answered: "in-progress",
+  call_disconnected: "call-disconnected",
+  disconnected: "call-disconnected",
+  no_answer: "no-answer",
+  "no answer": "no-answer",
+  "not-answered": "no-answer",
+  canceled: "failed",
+  cancelled: "failed",
+  error: "failed",
+};
+
+function normalizeStatus(status) {
+  const value = String(status ?? "").trim().toLowerCase();
+  if (STATES.includes(value)) return value;
+  return ALIASES[value] || null;
+}
+
+function isTerminal(status) {
+  return TERMINAL_STATES.includes(status);
+}
+
+// A call we have not seen yet may start anywhere (earlier updates can be
+// lost); a repeat of the current status is allowed and left to idempotency.
+function canTransition(from, to) {
+  if (!STATES.includes(to)) return false;
+  if (!from || from === to) return true;
+  if (isTerminal(to) && STATES.includes(from) && !isTerminal(from)) return true;
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// read on every call so changes apply without a restart
+function loadStatusActions() {
+  return JSON.parse(fs.readFileSync(ACTIONS_FILE, "utf8"));
+}
+
+const actionHandlers = {
+  // { type: "notify", email?: { template }, whatsapp?: { template, parameters: [dataKey, ...] }, sms?: { text } }
+  async notify(action, { callId, status, customer, language }) {
+    const data = {
+      userName: customer.name || "Customer",
+      supportPhone: config.SUPPORT_PHONE || "",
+      status,
+    };
+
+    const results = await notify({
+      customer,
+      email: action.email && { template: action.email.template, data, language },
+      whatsapp: action.whatsapp && {
+        template: action.whatsapp.template,
+        language,
+        parameters: (action.whatsapp.parameters || []).map((key) => String(data[key] ?? "")),
+      },
+      sms: action.sms,
+      meta: { callId },
+    });
+    callStore.recordNotifications(callId, results);
+
+    return { type: "notify", results };
+  },
+
+  // { type: "callback", delayMinutes, maxAttempts? }
+  async callback(action, { callId, status, customer }) {
+    const job = scheduleCallback({
+      callId,
+      mobile: customer.mobile,
+      name: customer.name,
+      reason: status,
+      notBefore: new Date(Date.now() + (Number(action.delayMinutes) || 60) * 60 * 1000),
+      ...(action.maxAttempts && { maxAttempts: action.maxAttempts }),
+    });
+
+    return { type: "callback", status: job.status, callbackId: job.id, nextAttemptAt: job.nextAttemptAt };
+  },
+};
+
+// Runs the actions configured for a terminal status. Each action is
+// independent: a failure is reported in its result, not thrown.
+async function runStatusActions(status, context, config = loadStatusActions()) {
+  const actions = config[status] || [];
+  const results = [];
+
+  for (const action of actions) {
+    const handler = actionHandlers[action.type];
+    if (!handler) {
+      results.push({ type: action.type, status: "failed", error: `Unknown action type "${action.type}"` });
+      continue;
+    }
+
+    try {
+      results.push(await handler(action, { ...context, status }));
+    } catch (err) {
+      log.error("Status action failed", { action: action.type, status, err });
+      results.push({ type: action.type, status: "failed", error: err.message });
+    }
+  }
+
+  return results;
+}
+
+// Express middleware: normalizes req.body.status and checks it is a valid
+// next step for the call. Unknown and out-of-order statuses are acknowledged
+// (so Bolna does not retry them) but go no further. Sets req.callStatus to
+// { status, previous, terminal }.
+function checkCallStatus() {
+  return function callStatusGuard(req, res, next) {
+    const status = normalizeStatus(req.body?.status);
+    if (!status) {
+      log.warn("Ignoring unknown call status", { status: req.body?.status });
+      return res.json({
+        success: true,
+        ignored: true,
+        message: `Unknown call status "${req.body?.status ?? ""}"`,
+      });
+    }
+
+    const callId = getCallId(req.body);
+    const previous = callId ? normalizeStatus(callStore.getCall(callId)?.status) : null;
+
+    if (!canTransition(previous, status)) {
+      log.warn("Ignoring out-of-order call status", { callId, status, previous });
+      return res.json({
+        success: true,
+        ignored: true,
+        status,
+        previousStatus: previous,
+        message: `Call is already ${previous}, ignoring ${status}`,
+      });
+    }
+
+    req.callStatus = { status, previous, terminal: isTerminal(status) };
+    next();
+  };
+}
+
+module.exports = {
+  STATES,
+  TERMINAL_STATES,
+  TRANSITIONS,
+  normalizeStatus,
+  isTerminal,
+  canTransition,
+  loadStatusActions,
+  runStatusActions,
+  checkCallStatus,
+};
@@ -0,0 +1,168 @@
+const { validate, findValue } = require("./schema");
+const { parseSpokenEmail } = require("./spokenToEmail");
+const parseSpokenPhone = require("./spokenToPhone");
+const parseSpokenPincode = require("./spokenToPincode");
+const parseSpokenDate = require("./spokenToDate");
+const { spokenToDigits } = require("./spokenTokens");
+
+// Spoken addresses that parse to something valid pass validation; whether
+// they are confident enough to email is left to the workflow (`details.email`).
+function normalizeEmail(text) {
+  const parsed = parseSpokenEmail(text);
+  return {
+    value: parsed.email,
+    error: parsed.valid ? null : `email "${text}" is not a valid address`,
+    confidence: parsed.confidence,
+    candidates: parsed.candidates,
+  };
+}
+
+// A callback time we cannot use should not fail the whole call; the
+// callback then goes out at the next calling slot instead.
+function normalizeCallbackTime(text) {
+  const parsed = parseSpokenDate(text);
+  return { value: parsed.value, error: null, ...(parsed.error && { warning: parsed.error }) };
+}
+
+function normalizeDealerNumber(text) {
+  const { digits } = spokenToDigits(text);
+  return digits.length >= 4
+    ? { value: digits, error: null }
+    : { value: null, error: `dealer_number "${text}" does not contain a dealer number` };
+}
+
+// What the agent heard when it asked "dealer or customer?" (SECTION 2.2).
+// An answer we cannot place is only a warning; the call is handled as a
+// customer's.
+const CALLER_WORDS = {
+  dealer: ["dealer", "distributor", "retailer", "डीलर", "டீலர்", "ಡೀಲರ್", "ડીલર"],
+  customer: ["customer", "consumer", "user", "ग्राहक", "grahak", "வாடிக்கையாளர்", "ಗ್ರಾಹಕ", "ગ્રાહક"],
+};
+
+function normalizeCallerType(text) {
+  const said = String(text).trim().toLowerCase();
+  const type = Object.keys(CALLER_WORDS).find((name) => CALLER_WORDS[name].some((word) => said.includes(word)));
+  return type
+    ? { value: type, error: null }
+    : { value: null, error: null, warning: `caller_type "${text}" is neither dealer nor customer` };
+}
+
+const fields = {
+  user_name: { type: "string", aliases: ["name", "userName", "customer_name"], max: 120 },
+  email: { type: "string", aliases: ["email_id", "emailId", "email_address"], normalize: normalizeEmail },
+  mobile: { type: "string", aliases: ["phone", "mobile_number", "mobileNumber", "phone_number"], normalize: parseSpokenPhone },
+  pincode: { type: "string", aliases: ["pin", "pin_code", "pinCode", "postal_code"], normalize: parseSpokenPincode },
+  issueDesc: { type: "string", aliases: ["issuedesc", "issue_desc", "issue_description", "issue"], max: 2000 },
+  fullAddress: { type: "string", aliases: ["fulladdress", "full_address", "address"], max: 500 },
+  technician_visit_date: {
+    type: "string",
+    aliases: ["visit_date", "technicianVisitDate", "preferred_date"],
+    normalize: (text) => parseSpokenDate(text),
+  },
+  language: { type: "string", aliases: ["preferred_language"] },
+  // SECTION 6 of the agent script: the customer asked to be called back
+  callback_requested: { type: "boolean", aliases: ["callback", "call_back", "callbackRequested"] },
+  callback_time: {
+    type: "string",
+    aliases: ["callback_at", "callbackTime", "preferred_callback_time"],
+    normalize: normalizeCallbackTime,
+  },
+  product: { type: "string", aliases: ["product_name", "product_category"] },
+  caller_type: {
+    type: "string",
+    aliases: ["callerType", "caller", "user_type", "dealer_or_customer"],
+    normalize: normalizeCallerType,
+  },
+  dealer_number: {
+    type: "string",
+    aliases: ["dealer_no", "dealerNumber", "dealer_id", "dealer_code"],
+    normalize: normalizeDealerNumber,
+  },
+};
+
+// extracted_data rules per call type
+const schemas = {
+  feedback: {
+    user_name: { ...fields.user_name, default: "Customer" },
+    email: fields.email,
+    rate: { type: "number", aliases: ["rating", "score"], min: 0, max: 10 },
+    mobile: fields.mobile,
+    pincode: fields.pincode,
+    product: fields.product,
+    language: fields.language,
+    callback_requested: fields.callback_requested,
+    callback_time: fields.callback_time,
+    caller_type: fields.caller_type,
+  },
+  serviceRequest: {
+    user_name: { ...fields.user_name, required: true },
+    email: fields.email,
+    mobile: { ...fields.mobile, required: true },
+    pincode: { ...fields.pincode, required: true },
+    issueDesc: { ...fields.issueDesc, required: true },
+    fullAddress: { ...fields.fullAddress, required: true },
+    technician_visit_date: { ...fields.technician_visit_date, required: true },
+    product: fields.product,
+    language: fields.language,
+    callback_requested: fields.callback_requested,
+    callback_time: fields.callback_time,
+    caller_type: fields.caller_type,
+  },
+  dealer: {
+    user_name: { ...fields.user_name, required: true },
+    caller_type: fields.caller_type,
+    dealer_number: { ...fields.dealer_number, required: true },
+    mobile: fields.mobile,
+    email: fields.email,
+    pincode: fields.pincode,
+    issueDesc: fields.issueDesc,
+    product: fields.product,
+    language: fields.language,
+  },
+};
+
+// "dealer" or "customer", for routing before the payload is validated. A
+// dealer number without an answer to the question still means a dealer.
+function getCallerType(body) {
+  const extracted = body?.extracted_data;
+  if (!extracted || typeof extracted !== "object") return "customer";
+
+  const answer = findValue(extracted, "caller_type", fields.caller_type.aliases);
+  if (answer !== undefined) return normalizeCallerType(answer).value || "customer";
+  return findValue(extracted, "dealer_number", fields.dealer_number.aliases) !== undefined ? "dealer" : "customer";
+}
+
+function validateCall(type, body = {}) {
+  if (!schemas[type]) {
+    throw new Error(`Unknown call type "${type}"`);
+  }
+
+  const extracted = body.extracted_data;
+  if (!extracted || typeof extracted !== "object") {
+    return {
+      value: {},
+      details: {},
+      errors: [{ field: "extracted_data", message: "extracted_data is required" }],
+    };
+  }
+
+  // only what the flow cannot do without fails the call; a garbled optional
+  // field is dropped and noted in `details`
+  return validate(schemas[type], extracted, { lenient: true });
+}
+
+function sendValidationErrors(res, errors) {
+  res.locals.validationErrors = errors;
+  return res.status(422).json({
+    success: false,
+    code: "VALIDATION_FAILED",
+    errors,
+  });
+}
+
+module.exports = {
+  schemas,
+  getCallerType,
+  validateCall,
+  sendValidationErrors,
+};
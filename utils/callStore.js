@@ -0,0 +1,275 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { DATA_DIR } = require("./jsonStore");
+const { config } = require("./config");
+const { getCallId } = require("./bolnaPayload");
+const { normalizeIndianMobile } = require("./whatsapp");
+const logger = require("./logger");
+
+const log = logger.child({ module: "callStore" });
+
+const CALLS_FILE = config.CALLS_FILE || path.join(DATA_DIR, "calls.jsonl");
+
+// The history is an append-only JSON-lines log. A "call" line records (or
+// patches) what Bolna sent; an "action" line records one attempt at a
+// downstream step (email, Case, WhatsApp, ...). Reading folds the lines into
+// one record per call, so nothing is rewritten and concurrent writers from
+// other processes cannot clobber each other.
+function append(entry) {
+  fs.mkdirSync(path.dirname(CALLS_FILE), { recursive: true });
+  fs.appendFileSync(CALLS_FILE, JSON.stringify({ ...entry, at: new Date().toISOString() }) + "\n");
+}
+
+// The folded records, kept between reads. Each read folds in only the lines
+// appended since the last one (by this process or any other), so a lookup
+// does not re-parse the whole history.
+const index = { records: new Map(), offset: 0, file: null, inode: null };
+
+// Complete lines added to the file since `index.offset`. A shorter or
+// different file was truncated or replaced, so the index starts over.
+function readNewLines() {
+  let stat;
+  try {
+    stat = fs.statSync(CALLS_FILE);
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    resetIndex();
+    return [];
+  }
+
+  const { size, ino } = stat;
+  if (index.file !== CALLS_FILE || index.inode !== ino || size < index.offset) resetIndex(ino);
+  if (size === index.offset) return [];
+
+  const buffer = Buffer.alloc(size - index.offset);
+  const fd = fs.openSync(CALLS_FILE, "r");
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, index.offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // a line still being written is left for the next read
+  const end = buffer.lastIndexOf(0x0a) + 1;
+  index.offset += end;
+
+  const entries = [];
+  for (const line of buffer.subarray(0, end).toString("utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // a torn line from a crash mid-write; the rest is still good
+      log.warn("Skipping unreadable call history line");
+    }
+  }
+  return entries;
+}
+
+function resetIndex(inode = null) {
+  index.records = new Map();
+  index.offset = 0;
+  index.file = CALLS_FILE;
+  index.inode = inode;
+}
+
+function newRecord(callId, at) {
+  return {
+    callId,
+    flow: null,
+    status: null,
+    statusHistory: [],
+    extracted: {},
+    transcript: null,
+    recordingUrl: null,
+    customer: { name: null, email: null, mobile: null },
+    actions: {},
+    receivedAt: at,
+    updatedAt: at,
+  };
+}
+
+function applyCall(record, entry) {
+  const { type, callId, at, status, customer, ...fields } = entry;
+
+  if (status && status !== record.status) {
+    record.status = status;
+    record.statusHistory.push({ status, at });
+  }
+  if (customer) {
+    for (const [key, value] of Object.entries(customer)) {
+      if (value != null) record.customer[key] = value;
+    }
+  }
+  Object.assign(record, fields);
+}
+
+function applyAction(record, { action, result, at }) {
+  const previous = record.actions[action];
+  const attempts = previous ? previous.attempts : [];
+  record.actions[action] = { ...result, at, attempts: [...attempts, { ...result, at }] };
+}
+
+function loadRecords() {
+  const entries = readNewLines();
+  const { records } = index;
+
+  for (const entry of entries) {
+    if (!entry.callId) continue;
+    if (!records.has(entry.callId)) records.set(entry.callId, newRecord(entry.callId, entry.at));
+
+    const record = records.get(entry.callId);
+    if (entry.type === "call") applyCall(record, entry);
+    if (entry.type === "action") applyAction(record, entry);
+    record.updatedAt = entry.at;
+  }
+
+  return records;
+}
+
+// Saves an incoming Bolna payload. Returns the call id the record is kept
+// under (a generated one when the payload has none). `status` overrides the
+// payload's own, e.g. with its normalized form.
+function recordCall(body = {}, { flow = null, status = body.status } = {}) {
+  const callId = getCallId(body) || `local-${crypto.randomUUID()}`;
+  const extracted = body.extracted_data || {};
+
+  append({
+    type: "call",
+    callId,
+    flow,
+    status: status ? String(status).toLowerCase() : null,
+    agentId: body.agent_id ?? null,
+    extracted,
+    transcript: body.transcript ?? null,
+    recordingUrl: body.telephony_data?.recording_url ?? null,
+    customer: {
+      name: extracted.user_name ?? null,
+      email: extracted.email ?? null,
+      mobile: extracted.mobile ?? null,
+    },
+  });
+
+  return callId;
+}
+
+// Patches a call record, e.g. with the normalized extracted_data.
+function updateCall(callId, fields) {
+  append({ ...fields, type: "call", callId });
+}
+
+// Records one attempt at a downstream action. `result` carries at least a
+// status ("queued", "sent", "created", "skipped", "failed", ...).
+function recordAction(callId, action, result) {
+  append({ type: "action", callId, action, result });
+}
+
+function recordNotifications(callId, notifications = {}) {
+  for (const [channel, result] of Object.entries(notifications)) {
+    recordAction(callId, channel, result);
+  }
+}
+
+// copies, so callers cannot change the index
+function getCall(callId) {
+  const record = loadRecords().get(callId);
+  return record ? structuredClone(record) : null;
+}
+
+// Filters call records. All criteria are optional:
+//   phone  – any spelling of an Indian mobile
+//   email  – case-insensitive
+//   from/to – ISO dates (or Date) bounding when the call was received
+//   status – the latest call status, e.g. "completed"
+function findCalls({ phone, email, from, to, status, flow, limit = 100, offset = 0 } = {}) {
+  const wantedMobile = phone ? normalizeIndianMobile(phone) : null;
+  if (phone && !wantedMobile) return [];
+
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() : null;
+
+  return [...loadRecords().values()]
+    .filter((call) => {
+      const received = new Date(call.receivedAt).getTime();
+      if (fromTime !== null && received < fromTime) return false;
+      if (toTime !== null && received > toTime) return false;
+      if (status && call.status !== status.toLowerCase()) return false;
+      if (flow && call.flow !== flow) return false;
+      if (email && (call.customer.email || "").toLowerCase() !== email.toLowerCase()) return false;
+      if (wantedMobile && normalizeIndianMobile(call.customer.mobile) !== wantedMobile) return false;
+      return true;
+    })
+    .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+    .slice(offset, offset + limit)
+    .map((call) => structuredClone(call));
+}
+
+// Express middleware: records the payload before the route runs and, once the
+// response is sent, what the route made of it (normalized data, validation
+// errors, HTTP status). Sets req.callId. `flow` is a name or a function of
+// the request.
+function trackCall(flow) {
+  return function callTracker(req, res, next) {
+    try {
+      const flowName = typeof flow === "function" ? flow(req) : flow;
+      req.callId = recordCall(req.body, { flow: flowName, status: req.callStatus?.status });
+      logger.addContext({ callId: req.callId });
+    } catch (err) {
+      log.error("Could not record call", { err });
+      return next();
+    }
+
+    res.on("finish", () => {
+      try {
+        updateCall(req.callId, {
+          responseStatus: res.statusCode,
+          ...(req.callData && {
+            extracted: req.callData,
+            customer: {
+              name: req.callData.user_name,
+              email: req.callData.email,
+              mobile: req.callData.mobile,
+            },
+          }),
+          ...(res.locals.validationErrors && { validationErrors: res.locals.validationErrors }),
+        });
+      } catch (err) {
+        log.error("Could not update call record", { callId: req.callId, err });
+      }
+    });
+
+    next();
+  };
+}
+
+// Follows queued emails to their outcome. Jobs carry { callId, action } meta.
+function trackMailQueue(events) {
+  const jobResult = (job, status, extra = {}) => {
+    if (!job.meta?.callId) return;
+    recordAction(job.meta.callId, job.meta.action || "email", {
+      status,
+      jobId: job.id,
+      attempt: job.attempts,
+      ...extra,
+    });
+  };
+
+  events.on("sent", (job, result) =>
+    jobResult(job, "sent", { provider: result?.provider, messageId: result?.messageId })
+  );
+  events.on("retry", (job) => jobResult(job, "retrying", { error: job.lastError }));
+  events.on("dead", (job) => jobResult(job, "dead", { error: job.lastError }));
+}
+
+module.exports = {
+  CALLS_FILE,
+  recordCall,
+  updateCall,
+  recordAction,
+  recordNotifications,
+  getCall,
+  findCalls,
+  trackCall,
+  trackMailQueue,
+};
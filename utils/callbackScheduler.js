@@ -0,0 +1,387 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { createJsonStore } = require("./jsonStore");
+const { normalizeIndianMobile } = require("./whatsapp");
+const { getPreferences } = require("./preferences");
+const callStore = require("./callStore");
+const { once } = require("./idempotency");
+const { config } = require("./config");
+const logger = require("./logger");
+
+const log = logger.child({ module: "callbackScheduler" });
+
+const callbackStore = createJsonStore("callbacks.json", []);
+
+const STATUSES = ["scheduled", "dialled", "failed", "expired", "cancelled"];
+const {
+  CALLBACK_MAX_ATTEMPTS: MAX_ATTEMPTS,
+  CALLBACK_RETRY_MINUTES: RETRY_MINUTES,
+  CALLBACK_MAX_AGE_HOURS: MAX_AGE_HOURS,
+  CALLBACK_POLL_MS: POLL_INTERVAL_MS,
+  CALLBACK_TIMEOUT_MS: REQUEST_TIMEOUT_MS,
+} = config;
+
+const IST_OFFSET_MINUTES = 330;
+const DAY_MINUTES = 24 * 60;
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+let timer = null;
+let running = false;
+
+// "09:00-20:00" -> { start: 540, end: 1200 } in minutes after IST midnight
+function parseWindow(text) {
+  const match = String(text).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) throw new Error(`Invalid time window "${text}" (expected HH:MM-HH:MM)`);
+
+  const [, h1, m1, h2, m2] = match.map(Number);
+  const window = { start: h1 * 60 + m1, end: h2 * 60 + m2 };
+  if (window.start >= window.end || window.end > DAY_MINUTES) {
+    throw new Error(`Invalid time window "${text}" (must start before it ends, within one day)`);
+  }
+  return window;
+}
+
+// read from the config each time so tests can change them
+function callingRules() {
+  return {
+    hours: parseWindow(config.CALLBACK_CALLING_HOURS),
+    dnd: config.CALLBACK_DND_WINDOWS.split(",").filter((part) => part.trim()).map(parseWindow),
+    skipDays: config.CALLBACK_SKIP_DAYS
+      .split(",")
+      .map((day) => day.trim().toLowerCase().slice(0, 3))
+      .filter((day) => WEEKDAYS.includes(day)),
+  };
+}
+
+// Earliest moment at or after `fromMs` that is inside IST calling hours, not
+// in a DND window and not on a skipped weekday.
+function nextCallTime(fromMs, rules = callingRules()) {
+  let time = fromMs;
+
+  for (let guard = 0; guard < 64; guard += 1) {
+    const istMinutes = time / 60000 + IST_OFFSET_MINUTES;
+    const minuteOfDay = ((istMinutes % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+    const weekday = WEEKDAYS[new Date(time + IST_OFFSET_MINUTES * 60000).getUTCDay()];
+    const untilTomorrow = (DAY_MINUTES - minuteOfDay + rules.hours.start) * 60000;
+
+    if (rules.skipDays.includes(weekday)) {
+      time += untilTomorrow;
+      continue;
+    }
+    if (minuteOfDay < rules.hours.start) {
+      time += (rules.hours.start - minuteOfDay) * 60000;
+      continue;
+    }
+    if (minuteOfDay >= rules.hours.end) {
+      time += untilTomorrow;
+      continue;
+    }
+
+    const dnd = rules.dnd.find((window) => minuteOfDay >= window.start && minuteOfDay < window.end);
+    if (dnd) {
+      time += (dnd.end - minuteOfDay) * 60000;
+      continue;
+    }
+
+    return time;
+  }
+
+  throw new Error("No allowed calling time found; check CALLBACK_CALLING_HOURS / CALLBACK_SKIP_DAYS");
+}
+
+function record(job, fields = {}) {
+  if (!job.callId) return;
+  callStore.recordAction(job.callId, "callback", {
+    status: job.status,
+    callbackId: job.id,
+    nextAttemptAt: job.nextAttemptAt,
+    attempt: job.attempts,
+    ...fields,
+  });
+}
+
+function saveJob(job) {
+  callbackStore.update((jobs) => {
+    const index = jobs.findIndex((stored) => stored.id === job.id);
+    if (index !== -1) jobs[index] = job;
+  });
+}
+
+function setStatus(job, status, note) {
+  const now = new Date().toISOString();
+  job.status = status;
+  job.updatedAt = now;
+  job.history.push({ status, at: now, ...(note && { note }) });
+}
+
+// Stores a callback job. The first attempt is placed at the first allowed
+// time after `notBefore`; the job expires if it cannot be made by `notAfter`.
+// A customer who already has a scheduled callback gets that job back, and
+// one who opted out of calls gets a cancelled job for the record.
+function scheduleCallback({
+  callId = null,
+  mobile,
+  name = null,
+  reason = "follow-up",
+  notBefore = new Date(),
+  notAfter,
+  maxAttempts = MAX_ATTEMPTS,
+  meta = {},
+}) {
+  const recipient = normalizeIndianMobile(mobile);
+  if (!recipient) {
+    const err = new Error(`Invalid Indian mobile number "${mobile}"`);
+    err.code = "INVALID_NUMBER";
+    throw err;
+  }
+
+  const earliest = Math.max(new Date(notBefore).getTime() || Date.now(), Date.now());
+  const latest = notAfter ? new Date(notAfter).getTime() : earliest + MAX_AGE_HOURS * 60 * 60 * 1000;
+  const now = new Date().toISOString();
+
+  const job = {
+    id: `CB-${crypto.randomBytes(4).toString("hex").toUpperCase()}`,
+    callId,
+    mobile: recipient,
+    name,
+    reason,
+    status: "scheduled",
+    attempts: 0,
+    maxAttempts,
+    notBefore: new Date(earliest).toISOString(),
+    notAfter: new Date(latest).toISOString(),
+    nextAttemptAt: new Date(nextCallTime(earliest)).toISOString(),
+    lastError: null,
+    result: null,
+    meta,
+    correlationId: logger.getCorrelationId(),
+    history: [{ status: "scheduled", at: now, note: reason }],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  if (getPreferences({ mobile: recipient }).optOut.includes("call")) {
+    setStatus(job, "cancelled", "customer opted out of calls");
+  } else if (new Date(job.nextAttemptAt).getTime() > latest) {
+    setStatus(job, "expired", "no calling slot before notAfter");
+  }
+
+  const existing = callbackStore.update((jobs) => {
+    const active = jobs.find((stored) => stored.mobile === recipient && stored.status === "scheduled");
+    if (active && job.status === "scheduled") return active;
+    jobs.push(job);
+    return null;
+  });
+
+  if (existing) {
+    log.info("Callback already scheduled", { callbackId: existing.id, mobile: recipient });
+    return existing;
+  }
+
+  log.info("Callback scheduled", {
+    callbackId: job.id,
+    status: job.status,
+    mobile: recipient,
+    reason,
+    nextAttemptAt: job.nextAttemptAt,
+  });
+  record(job, { reason });
+  return job;
+}
+
+// For the webhook routes: schedules the callback a customer asked for during
+// the call (`callback_requested`, optionally `callback_time`), once per call.
+// Never throws, since the rest of the webhook should still go ahead; resolves
+// to the job or null.
+async function scheduleRequestedCallback(callId, { callback_requested, callback_time }, customer) {
+  if (!callback_requested) return null;
+
+  try {
+    const { result } = await once(callId, "callback", () =>
+      scheduleCallback({
+        callId,
+        mobile: customer.mobile,
+        name: customer.name,
+        reason: "customer-request",
+        ...(callback_time && { notBefore: callback_time }),
+      })
+    );
+    return result;
+  } catch (err) {
+    log.error("Could not schedule requested callback", { callId, err });
+    if (callId) callStore.recordAction(callId, "callback", { status: "failed", error: err.message });
+    return null;
+  }
+}
+
+// Posts a Bolna-style outbound call request. CALLBACK_API_URL=stub only logs,
+// for local development.
+async function placeCall(job) {
+  const url = config.CALLBACK_API_URL;
+  const payload = {
+    agent_id: config.CALLBACK_AGENT_ID,
+    recipient_phone_number: job.mobile,
+    user_data: {
+      user_name: job.name,
+      callback_id: job.id,
+      original_call_id: job.callId,
+      reason: job.reason,
+    },
+  };
+
+  if (url === "stub") {
+    log.info("Outbound call (stub)", { payload });
+    return { outboundCallId: `stub-${job.id}-${job.attempts}` };
+  }
+
+  const response = await axios.post(url, payload, {
+    headers: {
+      Authorization: `Bearer ${config.CALLBACK_API_KEY}`,
+      "Content-Type": "application/json",
+      ...logger.correlationHeaders(),
+    },
+    timeout: REQUEST_TIMEOUT_MS,
+  });
+
+  const data = response.data || {};
+  return { outboundCallId: data.execution_id || data.call_id || data.id || null };
+}
+
+async function processJob(job) {
+  const now = Date.now();
+  if (now > new Date(job.notAfter).getTime()) {
+    setStatus(job, "expired", "window closed before the call could be placed");
+    saveJob(job);
+    record(job);
+    return;
+  }
+
+  job.attempts += 1;
+
+  try {
+    job.result = await placeCall(job);
+    job.lastError = null;
+    setStatus(job, "dialled", job.result.outboundCallId);
+    saveJob(job);
+    record(job, job.result);
+    log.info("Callback dialled", { callbackId: job.id, outboundCallId: job.result.outboundCallId });
+  } catch (err) {
+    const status = err.response?.status;
+    job.lastError = err.response?.data?.message || err.message;
+    // 4xx (other than timeout / rate limit) will fail the same way again
+    const permanent = status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+    const nextAttempt = permanent ? null : nextCallTime(now + RETRY_MINUTES * job.attempts * 60000);
+    if (permanent || job.attempts >= job.maxAttempts) {
+      setStatus(job, "failed", job.lastError);
+    } else if (nextAttempt > new Date(job.notAfter).getTime()) {
+      setStatus(job, "expired", job.lastError);
+    } else {
+      job.nextAttemptAt = new Date(nextAttempt).toISOString();
+      job.updatedAt = new Date().toISOString();
+      log.warn("Callback retry scheduled", {
+        callbackId: job.id,
+        attempt: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.nextAttemptAt,
+        error: job.lastError,
+      });
+    }
+
+    saveJob(job);
+    record(job, { error: job.lastError });
+    if (job.status !== "scheduled") {
+      log.error("Callback not placed", { callbackId: job.id, status: job.status, error: job.lastError });
+    }
+  }
+}
+
+function nextDueJob(now) {
+  return callbackStore
+    .read()
+    .filter((job) => job.status === "scheduled" && new Date(job.nextAttemptAt).getTime() <= now)
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))[0];
+}
+
+// Dials every job that is due, one at a time. Jobs wait (and keep their
+// place) while CALLBACK_API_URL is not configured.
+async function processDueJobs() {
+  if (running) return;
+  if (!config.CALLBACK_API_URL) {
+    if (nextDueJob(Date.now())) log.warn("CALLBACK_API_URL not set, due callbacks are waiting");
+    return;
+  }
+
+  running = true;
+  try {
+    let job;
+    while ((job = nextDueJob(Date.now()))) {
+      const { correlationId, callId } = job;
+      await logger.withContext({ correlationId, callId }, () => processJob(job));
+    }
+  } catch (err) {
+    log.error("Callback scheduler error", { err });
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(processDueJobs, POLL_INTERVAL_MS);
+  timer.unref();
+  processDueJobs();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+function listCallbacks({ status, mobile } = {}) {
+  const recipient = mobile ? normalizeIndianMobile(mobile) : null;
+  return callbackStore
+    .read()
+    .filter((job) => (!status || job.status === status) && (!recipient || job.mobile === recipient));
+}
+
+function getCallback(id) {
+  return callbackStore.read().find((job) => job.id === id) || null;
+}
+
+// Cancels a scheduled job. Returns the job, or null when it does not exist;
+// throws when it already finished.
+function cancelCallback(id, { note, by } = {}) {
+  let previousStatus = null;
+  const job = callbackStore.update((jobs) => {
+    const found = jobs.find((stored) => stored.id === id);
+    if (!found) return null;
+    previousStatus = found.status;
+    if (found.status === "scheduled") {
+      setStatus(found, "cancelled", [note, by && `by ${by}`].filter(Boolean).join(" ") || null);
+    }
+    return found;
+  });
+
+  if (job && previousStatus !== "scheduled") {
+    const err = new Error(`Callback ${id} is already ${job.status}`);
+    err.code = "CALLBACK_NOT_SCHEDULED";
+    throw err;
+  }
+  if (job) record(job);
+  return job;
+}
+
+module.exports = {
+  STATUSES,
+  parseWindow,
+  nextCallTime,
+  scheduleCallback,
+  scheduleRequestedCallback,
+  processDueJobs,
+  start,
+  stop,
+  listCallbacks,
+  getCallback,
+  cancelCallback,
+};
@@ -0,0 +1,252 @@
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+const { validate } = require("./schema");
+
+const ROOT = path.join(__dirname, "..");
+
+const PROFILES = ["development", "test", "staging", "production"];
+const PROFILE_ALIASES = { dev: "development", local: "development", stage: "staging", prod: "production" };
+
+// Per-profile defaults, below the environment and .env files. Development
+// and tests never email or dial real customers unless told to.
+const PROFILE_DEFAULTS = {
+  development: {
+    LOG_LEVEL: "debug",
+    MAIL_TRANSPORT: "file",
+    EMAIL_USER: "support@localhost",
+    CALLBACK_API_URL: "stub",
+  },
+  test: {
+    LOG_LEVEL: "error",
+    MAIL_TRANSPORT: "file",
+    EMAIL_USER: "support@localhost",
+    CALLBACK_API_URL: "stub",
+  },
+  staging: {},
+  production: {},
+};
+
+const MAIL_TRANSPORTS = ["brevo", "smtp", "resend", "file"];
+
+const deployed = (env) => ["staging", "production"].includes(env.APP_ENV);
+// The guards fail closed, so a server without these would answer every
+// webhook and admin call with 500; only tests run without them.
+const guarded = (env) => env.APP_ENV !== "test";
+const mailVia = (name) => (env) => [env.MAIL_TRANSPORT, env.MAIL_FALLBACK_TRANSPORT].includes(name);
+
+function url(text) {
+  try {
+    const { protocol } = new URL(text);
+    if (["http:", "https:"].includes(protocol)) return { value: text, error: null };
+  } catch {
+    // reported below
+  }
+  return { value: null, error: `"${text}" is not an http(s) URL` };
+}
+
+// API roots get paths appended, so without the trailing slash
+function baseUrl(text) {
+  const result = url(text);
+  return result.error ? result : { value: result.value.replace(/\/+$/, ""), error: null };
+}
+
+// "09:00-20:00", or a comma-separated list of them when `list`
+function timeWindows(text, { list = false } = {}) {
+  const parts = list ? text.split(",").filter((part) => part.trim()) : [text];
+  const bad = parts.find((part) => !/^\s*\d{1,2}:\d{2}\s*-\s*\d{1,2}:\d{2}\s*$/.test(part));
+  return bad === undefined
+    ? { value: text, error: null }
+    : { value: null, error: `"${bad.trim()}" is not a time window (expected HH:MM-HH:MM)` };
+}
+
+// Every setting the server reads, keyed by environment variable. Rules are
+// the ones utils/schema.js applies to webhook payloads, plus:
+//   secret       never printed, not even in the startup report
+//   description  what it is for (shown in the report)
+// `required` functions see the resolved environment, with APP_ENV set to the
+// profile.
+const settings = {
+  // server
+  PORT: { type: "integer", default: 5001, min: 1, max: 65535, description: "HTTP port" },
+  LOG_LEVEL: { type: "string", default: "info", enum: ["debug", "info", "warn", "error"], description: "Lowest level logged" },
+  DATA_DIR: { type: "string", default: path.join(ROOT, "data"), description: "Where the JSON stores live" },
+
+  // webhook + admin guards
+  WEBHOOK_SECRET: { type: "string", secret: true, required: guarded, description: "HMAC secret shared with Bolna" },
+  WEBHOOK_TOLERANCE_SECONDS: { type: "integer", default: 300, min: 1, description: "Allowed clock skew of signed webhooks" },
+  WEBHOOK_REPLAY_WINDOW_SECONDS: { type: "integer", default: 600, min: 1, description: "How long a signature is remembered" },
+  ADMIN_API_KEY: { type: "string", secret: true, required: guarded, description: "Key for the /admin API" },
+
+  // email
+  MAIL_TRANSPORT: { type: "string", default: "brevo", enum: MAIL_TRANSPORTS, description: "Primary email provider" },
+  MAIL_FALLBACK_TRANSPORT: { type: "string", enum: MAIL_TRANSPORTS, description: "Provider tried when the primary fails" },
+  EMAIL_USER: { type: "string", required: true, description: "Sender address" },
+  EMAIL_FROM_NAME: { type: "string", default: "Hindalco Support", description: "Sender name" },
+  BREVO_API_KEY: { type: "string", secret: true, required: mailVia("brevo"), description: "Brevo API key" },
+  BREVO_API_URL: { type: "string", normalize: baseUrl, description: "Brevo API root (default: the SDK's)" },
+  SMTP_HOST: { type: "string", required: mailVia("smtp"), description: "SMTP server" },
+  SMTP_PORT: { type: "integer", default: 587, min: 1, max: 65535, description: "SMTP port" },
+  SMTP_SECURE: { type: "boolean", default: false, description: "Use TLS from the start (port 465)" },
+  SMTP_USER: { type: "string", description: "SMTP login" },
+  SMTP_PASS: { type: "string", secret: true, description: "SMTP password" },
+  RESEND_API_KEY: { type: "string", secret: true, required: mailVia("resend"), description: "Resend API key" },
+  MAIL_FILE_DIR: { type: "string", description: "Outbox of the file transport (default DATA_DIR/outbox)" },
+  MAIL_QUEUE_MAX_ATTEMPTS: { type: "integer", default: 5, min: 1, description: "Sends before a mail is dead-lettered" },
+  MAIL_QUEUE_BASE_DELAY_MS: { type: "integer", default: 30 * 1000, min: 1, description: "First retry delay" },
+  MAIL_QUEUE_MAX_DELAY_MS: { type: "integer", default: 60 * 60 * 1000, min: 1, description: "Longest retry delay" },
+  MAIL_QUEUE_POLL_MS: { type: "integer", default: 5000, min: 10, description: "Queue poll interval" },
+  FEEDBACK_FORM_URL: { type: "string", required: true, normalize: url, description: "Link in the feedback email" },
+  EMAIL_CONFIDENCE_THRESHOLD: { type: "number", default: 0.75, min: 0, max: 1, description: "Spoken-email confidence needed to send" },
+
+  // enrichment
+  ENRICHMENT_PROVIDER: { type: "string", enum: ["openai", "keyword"], description: "Default: openai when OPENAI_API_KEY is set" },
+  OPENAI_API_KEY: { type: "string", secret: true, required: (env) => env.ENRICHMENT_PROVIDER === "openai", description: "OpenAI API key" },
+  OPENAI_BASE_URL: { type: "string", default: "https://api.openai.com/v1", normalize: baseUrl, description: "OpenAI-compatible endpoint" },
+  OPENAI_MODEL: { type: "string", default: "gpt-3.5-turbo", description: "Chat model" },
+  ENRICHMENT_TIMEOUT_MS: { type: "integer", default: 15000, min: 1, description: "Enrichment request timeout" },
+
+  // escalation
+  ESCALATION_EMAIL: { type: "string", required: deployed, description: "Mailbox for negative-feedback alerts" },
+  ESCALATION_RULES_FILE: { type: "string", default: path.join(ROOT, "config", "escalation-rules.json"), description: "Escalation rules" },
+
+  // service areas
+  SERVICE_AREAS_FILE: { type: "string", default: path.join(ROOT, "config", "service-areas.json"), description: "Pincode territories and SLAs" },
+
+  // dealers
+  DEALERS_FILE: { type: "string", default: path.join(ROOT, "config", "dealers.csv"), description: "Dealer registry (.csv or .json)" },
+  DEALER_SUPPORT_EMAIL: { type: "string", required: deployed, description: "Mailbox for dealer calls" },
+
+  // Salesforce
+  SF_INSTANCE_URL: { type: "string", required: deployed, normalize: baseUrl, description: "e.g. https://yourorg.my.salesforce.com" },
+  SF_API_VERSION: { type: "string", default: "v59.0", description: "REST API version" },
+  SF_LOGIN_URL: { type: "string", default: "https://login.salesforce.com", normalize: baseUrl, description: "OAuth host" },
+  SF_CLIENT_ID: { type: "string", required: deployed, description: "Connected app client ID" },
+  SF_CLIENT_SECRET: { type: "string", secret: true, required: deployed, description: "Connected app client secret" },
+  SF_USERNAME: { type: "string", required: deployed, description: "Integration user" },
+  SF_PASSWORD: { type: "string", secret: true, required: deployed, description: "Integration user password + security token" },
+  SF_DEFAULT_ACCOUNT_ID: { type: "string", description: "Account for new Contacts" },
+
+  // WhatsApp
+  WHATSAPP_ACCESS_TOKEN: { type: "string", secret: true, required: deployed, description: "Cloud API token" },
+  WHATSAPP_PHONE_NUMBER_ID: { type: "string", required: deployed, description: "Sending phone-number ID" },
+  WHATSAPP_API_URL: { type: "string", default: "https://graph.facebook.com", normalize: baseUrl, description: "Graph API host" },
+  WHATSAPP_API_VERSION: { type: "string", default: "v22.0", description: "Graph API version" },
+  WHATSAPP_APP_SECRET: { type: "string", secret: true, required: deployed, description: "Signs delivery receipts" },
+  WHATSAPP_VERIFY_TOKEN: { type: "string", secret: true, description: "Receipt subscription handshake" },
+  WHATSAPP_SERVICE_TEMPLATE: { type: "string", default: "gb_service_update", description: "Service update template" },
+
+  // SMS
+  SMS_API_URL: { type: "string", normalize: url, description: "SMS gateway (SMS is off when unset)" },
+  SMS_API_KEY: { type: "string", secret: true, required: (env) => Boolean(env.SMS_API_URL), description: "SMS gateway key" },
+  SMS_SENDER_ID: { type: "string", description: "SMS sender ID" },
+
+  // call history, idempotency, lifecycle
+  CALLS_FILE: { type: "string", description: "Call history (default DATA_DIR/calls.jsonl)" },
+  IDEMPOTENCY_TTL_HOURS: { type: "number", default: 7 * 24, min: 1, description: "How long webhook results are kept" },
+  IDEMPOTENCY_PENDING_TIMEOUT_MS: { type: "integer", default: 5 * 60 * 1000, min: 1, description: "When an unfinished claim is abandoned" },
+  CALL_STATUS_ACTIONS_FILE: { type: "string", default: path.join(ROOT, "config", "call-status-actions.json"), description: "Terminal-status actions" },
+  SUPPORT_PHONE: { type: "string", required: deployed, description: "Number quoted in missed-call messages" },
+
+  // callbacks
+  CALLBACK_API_URL: {
+    type: "string",
+    normalize: (text) => (text === "stub" ? { value: text, error: null } : url(text)),
+    description: "Outbound call API, or stub to only log",
+  },
+  CALLBACK_API_KEY: { type: "string", secret: true, required: (env) => /^https?:/.test(env.CALLBACK_API_URL || ""), description: "Outbound call API key" },
+  CALLBACK_AGENT_ID: { type: "string", required: (env) => /^https?:/.test(env.CALLBACK_API_URL || ""), description: "Agent that places callbacks" },
+  CALLBACK_CALLING_HOURS: { type: "string", default: "09:00-20:00", normalize: timeWindows, description: "IST calling hours" },
+  CALLBACK_DND_WINDOWS: { type: "string", default: "", normalize: (text) => timeWindows(text, { list: true }), description: "IST windows never to call in" },
+  CALLBACK_SKIP_DAYS: { type: "string", default: "", description: "Weekdays never to call on" },
+  CALLBACK_MAX_ATTEMPTS: { type: "integer", default: 3, min: 1, description: "Dial attempts per callback" },
+  CALLBACK_RETRY_MINUTES: { type: "number", default: 30, min: 1, description: "Retry delay (times the attempt)" },
+  CALLBACK_MAX_AGE_HOURS: { type: "number", default: 72, min: 1, description: "When an unplaced callback expires" },
+  CALLBACK_POLL_MS: { type: "integer", default: 60 * 1000, min: 10, description: "Scheduler poll interval" },
+  CALLBACK_TIMEOUT_MS: { type: "integer", default: 10000, min: 1, description: "Outbound call request timeout" },
+
+  // workflows
+  WORKFLOWS_FILE: { type: "string", default: path.join(ROOT, "config", "workflows.json"), description: "Workflow registry" },
+  WORKFLOW_AGENTS: { type: "string", default: "", description: "agentId:workflow pairs" },
+};
+
+// Checks that involve more than one setting.
+const crossChecks = [
+  (config, profile) =>
+    profile === "production" && [config.MAIL_TRANSPORT, config.MAIL_FALLBACK_TRANSPORT].includes("file")
+      ? { field: "MAIL_TRANSPORT", message: "the file transport cannot be used in production" }
+      : null,
+  (config, profile) =>
+    profile === "production" && config.CALLBACK_API_URL === "stub"
+      ? { field: "CALLBACK_API_URL", message: "stub cannot be used in production" }
+      : null,
+];
+
+function resolveProfile(env) {
+  const name = String(env.APP_ENV || env.NODE_ENV || "development").trim().toLowerCase();
+  const profile = PROFILE_ALIASES[name] || name;
+  return PROFILES.includes(profile) ? profile : null;
+}
+
+// .env.<profile> first, then .env; neither overrides what is already set.
+// Tests run on their own environment only.
+function loadEnvFiles(profile, dir = ROOT) {
+  if (profile === "test") return;
+  for (const file of [`.env.${profile}`, ".env"]) {
+    const filePath = path.join(dir, file);
+    if (fs.existsSync(filePath)) dotenv.config({ path: filePath });
+  }
+}
+
+// Resolves and validates every setting. Returns { config, profile, problems }
+// where `problems` lists { field, message } for everything wrong; the config
+// holds what could be resolved either way.
+function loadConfig(env = process.env) {
+  const profile = resolveProfile(env);
+  if (!profile) {
+    return {
+      config: {},
+      profile: null,
+      problems: [{ field: "APP_ENV", message: `APP_ENV must be one of ${PROFILES.join(", ")}` }],
+    };
+  }
+
+  const defaults = Object.fromEntries(
+    Object.entries(settings)
+      .filter(([, rule]) => rule.default !== undefined)
+      .map(([name, rule]) => [name, rule.default])
+  );
+  const source = { ...defaults, ...PROFILE_DEFAULTS[profile], ...pickSettings(env), APP_ENV: profile };
+
+  const { value, errors } = validate(settings, source);
+  const problems = [...errors, ...crossChecks.map((check) => check(value, profile)).filter(Boolean)];
+
+  return { config: value, profile, problems };
+}
+
+// only exact names: schema matching is case-insensitive and the environment
+// is full of unrelated variables
+function pickSettings(env) {
+  return Object.fromEntries(Object.keys(settings).filter((name) => name in env).map((name) => [name, env[name]]));
+}
+
+// The resolved settings with secrets hidden, for the startup report.
+function describeConfig(config) {
+  return Object.fromEntries(
+    Object.entries(config).map(([name, value]) => [name, settings[name]?.secret ? "[set]" : value])
+  );
+}
+
+const initialProfile = resolveProfile(process.env);
+if (initialProfile) loadEnvFiles(initialProfile);
+
+const { config, profile, problems } = loadConfig(process.env);
+
+module.exports = {
+  config,
+  profile,
+  problems,
+  settings,
+  loadConfig,
+  describeConfig,
+};
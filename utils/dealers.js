@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+const { config } = require("./config");
+const log = require("./logger").child({ module: "dealers" });
+
+// Splits one CSV line, honouring "quoted, fields" and "" escapes.
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+
+  cells.push(cell);
+  return cells.map((value) => value.trim());
+}
+
+// header row + one dealer per line -> [{ dealer_number, name, ... }]
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() && !line.startsWith("#"));
+  if (!lines.length) return [];
+
+  const header = splitCsvLine(lines[0]).map((column) => column.toLowerCase());
+  return lines.slice(1).map((line) => {
+    const cells = splitCsvLine(line);
+    return Object.fromEntries(header.map((column, i) => [column, cells[i] || ""]));
+  });
+}
+
+const digits = (value) => String(value || "").replace(/\D/g, "");
+
+// the same Indian mobile may be written with or without a country code
+const mobileDigits = (value) => digits(value).replace(/^(91|0)(?=\d{10}$)/, "");
+
+// CSV columns and JSON keys may be snake_case or camelCase
+function normalizeDealer(entry) {
+  const pick = (...keys) => keys.map((key) => entry[key]).find((value) => value != null && value !== "") ?? null;
+
+  return {
+    dealerNumber: digits(pick("dealer_number", "dealerNumber")),
+    name: pick("name", "dealer_name", "dealerName"),
+    email: pick("email"),
+    mobile: pick("mobile", "phone"),
+    accountId: pick("account_id", "accountId"),
+    city: pick("city"),
+    active: !/^(false|no|0|inactive)$/i.test(String(pick("active") ?? "true")),
+  };
+}
+
+// Reads DEALERS_FILE (.csv, or a JSON array). Read on every call so the
+// registry can be updated without a restart. A missing file is an empty
+// one, and so is one we cannot parse: dealer calls then go through
+// unverified instead of failing while someone fixes the file.
+function loadDealers(file = config.DEALERS_FILE) {
+  if (!fs.existsSync(file)) return [];
+
+  let entries;
+  try {
+    const text = fs.readFileSync(file, "utf8");
+    entries = path.extname(file).toLowerCase() === ".csv" ? parseCsv(text) : JSON.parse(text);
+    if (!Array.isArray(entries)) throw new Error("the registry must be an array of dealers");
+  } catch (err) {
+    log.error("Unreadable dealer registry, treating it as empty", { file, err });
+    return [];
+  }
+  return entries.map(normalizeDealer).filter((dealer) => dealer.dealerNumber);
+}
+
+// The number the caller gave may be their dealer code or their registered
+// mobile. Returns the active dealer it belongs to, or null.
+function findDealer(number, dealers = loadDealers()) {
+  const spoken = digits(number);
+  if (!spoken) return null;
+
+  return (
+    dealers.find(
+      (dealer) =>
+        dealer.active &&
+        (dealer.dealerNumber === spoken || (dealer.mobile && mobileDigits(dealer.mobile) === mobileDigits(spoken)))
+    ) || null
+  );
+}
+
+module.exports = {
+  loadDealers,
+  findDealer,
+  parseCsv,
+};
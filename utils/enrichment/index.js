@@ -0,0 +1,70 @@
+const { config } = require("../config");
+const log = require("../logger").child({ module: "enrichment" });
+
+const factories = {
+  openai: require("./openai"),
+  keyword: require("./keyword"),
+};
+
+const SENTIMENTS = ["Positive", "Negative", "Neutral"];
+
+const instances = new Map();
+
+function getProvider(name) {
+  if (!factories[name]) {
+    throw new Error(`Unknown enrichment provider "${name}" (expected one of ${Object.keys(factories).join(", ")})`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  return instances.get(name);
+}
+
+function providerName() {
+  return config.ENRICHMENT_PROVIDER || (config.OPENAI_API_KEY ? "openai" : "keyword");
+}
+
+function normalizeSentiment(value) {
+  const match = SENTIMENTS.find((s) => s.toLowerCase() === String(value || "").trim().toLowerCase());
+  return match || "Neutral";
+}
+
+function clampConfidence(value) {
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0.5;
+}
+
+// Adds an English translation, sentiment label and confidence to a transcript.
+// Falls back to the offline keyword provider when the configured one fails.
+// Never throws.
+async function enrichTranscript(transcript) {
+  if (!transcript || !String(transcript).trim()) {
+    return { translatedText: "", translated: true, sentiment: "Neutral", confidence: 0, provider: "none" };
+  }
+
+  const name = providerName();
+  let provider = getProvider(name);
+  let result;
+
+  try {
+    result = await provider.analyze(transcript);
+  } catch (err) {
+    log.error("Enrichment error, using keyword fallback", { provider: name, err });
+    provider = getProvider("keyword");
+    result = await provider.analyze(transcript);
+  }
+
+  return {
+    translatedText: result.translatedText || transcript,
+    translated: result.translated !== false,
+    sentiment: normalizeSentiment(result.sentiment),
+    confidence: clampConfidence(result.confidence),
+    provider: provider.name,
+  };
+}
+
+module.exports = {
+  enrichTranscript,
+  getProvider,
+};
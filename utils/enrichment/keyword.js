@@ -0,0 +1,82 @@
+const { detectLanguage } = require("../language");
+const { customerTurns } = require("../transcript");
+
+// [phrase, weight]; positive weights are good sentiment
+const LEXICON = [
+  // English
+  ["thank you", 1], ["thanks", 1], ["great", 2], ["excellent", 2], ["good", 1],
+  ["happy", 1], ["satisfied", 1], ["professional", 1], ["quickly", 1], ["helpful", 1],
+  ["resolved", 1], ["fixed", 1], ["amazing", 2], ["love", 1],
+  ["disappointed", -1], ["unacceptable", -2], ["angry", -2], ["worst", -2], ["bad", -1],
+  ["terrible", -2], ["poor", -1], ["still leaking", -1], ["not working", -1], ["complaint", -1],
+  ["frustrated", -1], ["useless", -2], ["rude", -2], ["delay", -1], ["senior", -1], ["manager", -1],
+  // Hindi (Devanagari)
+  ["धन्यवाद", 1], ["शुक्रिया", 1], ["अच्छा", 1], ["अच्छी", 1], ["बढ़िया", 2], ["शानदार", 2],
+  ["खुश", 1], ["संतुष्ट", 1], ["ठीक", 1],
+  ["गुस्सा", -2], ["नाराज़", -2], ["नाराज", -2], ["परेशान", -1], ["बेकार", -2], ["खराब", -1],
+  ["ख़राब", -1], ["शिकायत", -1], ["नहीं कर रहा", -1], ["नहीं हुआ", -1], ["वरिष्ठ अधिकारी", -1],
+  // Hindi (romanised)
+  ["shukriya", 1], ["accha", 1], ["acha", 1], ["badhiya", 2], ["gussa", -2], ["naraz", -2],
+  ["pareshan", -1], ["bekar", -2], ["kharab", -1], ["shikayat", -1],
+];
+
+const INTENSIFIERS = new Set(["very", "really", "so", "extremely", "बहुत", "बेहद", "bahut", "bohot"]);
+const NEGATORS = new Set(["not", "never", "no", "नहीं", "नही", "nahi", "nahin"]);
+
+const ENTRIES = LEXICON.map(([phrase, weight]) => ({ tokens: tokenize(phrase), weight }));
+
+function tokenize(text) {
+  return text.toLowerCase().match(/[\p{L}\p{M}\p{N}']+/gu) || [];
+}
+
+function matchesAt(tokens, index, phrase) {
+  return phrase.every((token, offset) => tokens[index + offset] === token);
+}
+
+// Offline fallback: scores the customer's turns against a small bilingual
+// lexicon. It cannot translate, so non-English text is passed through
+// unchanged.
+function createKeywordProvider() {
+  return {
+    name: "keyword",
+    async analyze(transcript) {
+      const tokens = tokenize(customerTurns(transcript));
+      let positive = 0;
+      let negative = 0;
+
+      for (let i = 0; i < tokens.length; i++) {
+        for (const entry of ENTRIES) {
+          if (!matchesAt(tokens, i, entry.tokens)) continue;
+
+          let weight = entry.weight;
+          if (INTENSIFIERS.has(tokens[i - 1])) weight *= 2;
+
+          // "not good" and Hindi's trailing "अच्छा नहीं" both flip praise
+          const end = i + entry.tokens.length;
+          if (weight > 0 && (NEGATORS.has(tokens[i - 1]) || NEGATORS.has(tokens[end]))) {
+            weight = -weight;
+          }
+
+          if (weight > 0) positive += weight;
+          else negative -= weight;
+        }
+      }
+
+      const score = positive - negative;
+      const total = positive + negative;
+      const sentiment = score > 0 ? "Positive" : score < 0 ? "Negative" : "Neutral";
+      const confidence = total === 0
+        ? 0.5
+        : Math.min(0.95, 0.5 + (0.5 * Math.abs(score)) / (total + 1));
+
+      return {
+        translatedText: transcript,
+        sentiment,
+        confidence: Number(confidence.toFixed(2)),
+        translated: detectLanguage(transcript) === "en",
+      };
+    },
+  };
+}
+
+module.exports = createKeywordProvider;
@@ -0,0 +1,56 @@
+const { config } = require("../config");
+
+const SYSTEM_PROMPT = `You are a helpful assistant that translates text to English and analyzes sentiment.
+For the given call transcript:
+1. Translate it to English if it's in another language (if already in English, return as is)
+2. Classify the customer's overall sentiment as one of: Positive, Negative, or Neutral
+3. Give your confidence in that classification as a number between 0 and 1
+
+Respond in JSON format with three fields:
+{
+  "translatedText": "the English translation",
+  "sentiment": "Positive/Negative/Neutral",
+  "confidence": 0.0
+}`;
+
+function createOpenAiProvider() {
+  const { OPENAI_BASE_URL: baseUrl, OPENAI_MODEL: model, ENRICHMENT_TIMEOUT_MS: timeoutMs } = config;
+
+  return {
+    name: "openai",
+    async analyze(transcript) {
+      const response = await fetch(`${baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${config.OPENAI_API_KEY}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: "system", content: SYSTEM_PROMPT },
+            { role: "user", content: transcript },
+          ],
+          temperature: 0.3,
+          response_format: { type: "json_object" },
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        throw new Error(`OpenAI request failed with ${response.status}: ${await response.text()}`);
+      }
+
+      const completion = await response.json();
+      const result = JSON.parse(completion.choices[0].message.content);
+
+      return {
+        translatedText: result.translatedText || transcript,
+        sentiment: result.sentiment,
+        confidence: Number(result.confidence),
+      };
+    },
+  };
+}
+
+module.exports = createOpenAiProvider;
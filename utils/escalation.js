@@ -0,0 +1,171 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const mailQueue = require("./mailQueue");
+const templates = require("./templates");
+const { createJsonStore } = require("./jsonStore");
+const { isLabelled, customerTurns } = require("./transcript");
+const { config } = require("./config");
+const log = require("./logger").child({ module: "escalation" });
+
+const RULES_FILE = config.ESCALATION_RULES_FILE;
+
+const STATUSES = ["open", "in_progress", "resolved"];
+
+const escalationStore = createJsonStore("escalations.json", []);
+
+// read on every call so rule changes apply without a restart
+function loadRules() {
+  return JSON.parse(fs.readFileSync(RULES_FILE, "utf8"));
+}
+
+// the keyword as a whole word or phrase, so "manager" does not match
+// "management"; \b does not know Devanagari, hence the Unicode classes
+function keywordPattern(word) {
+  const phrase = word.trim().split(/\s+/).map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("\\s+");
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${phrase}(?![\\p{L}\\p{M}\\p{N}])`, "iu");
+}
+
+// Returns { escalate, reasons } for a completed call.
+function evaluateEscalation({ rating, enrichment = {}, transcript = "" }, rules = loadRules()) {
+  const reasons = [];
+
+  const score = Number(rating);
+  if (rating !== "" && rating != null && Number.isFinite(score) && score <= rules.maxRating) {
+    reasons.push(`rating ${score} ≤ ${rules.maxRating}`);
+  }
+
+  if (
+    (rules.sentiments || []).includes(enrichment.sentiment) &&
+    (enrichment.confidence ?? 1) >= (rules.minSentimentConfidence || 0)
+  ) {
+    reasons.push(`${enrichment.sentiment.toLowerCase()} sentiment`);
+  }
+
+  // Only what the customer said counts. An unlabelled translation of a
+  // labelled transcript would bring the agent's turns back, so it is skipped.
+  const translation = enrichment.translatedText || "";
+  const useTranslation = isLabelled(translation) || !isLabelled(transcript);
+  const haystack = `${customerTurns(transcript)}\n${useTranslation ? customerTurns(translation) : ""}`;
+  const keyword = (rules.keywords || []).find((word) => keywordPattern(word).test(haystack));
+  if (keyword) {
+    reasons.push(`keyword "${keyword}"`);
+  }
+
+  return { escalate: reasons.length > 0, reasons };
+}
+
+function newEscalationId() {
+  const day = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  return `ESC-${day}-${crypto.randomBytes(2).toString("hex").toUpperCase()}`;
+}
+
+function createEscalation({ callId, customer, rating, reasons, enrichment, recordingUrl }, rules = loadRules()) {
+  const now = new Date().toISOString();
+  const escalation = {
+    id: newEscalationId(),
+    callId,
+    status: "open",
+    owner: rules.defaultOwner || null,
+    reasons,
+    customer,
+    rating,
+    sentiment: enrichment?.sentiment || null,
+    recordingUrl: recordingUrl || null,
+    history: [{ status: "open", at: now, note: reasons.join(", ") }],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  escalationStore.update((escalations) => escalations.push(escalation));
+  return escalation;
+}
+
+function listEscalations({ status } = {}) {
+  return escalationStore.read().filter((escalation) => !status || escalation.status === status);
+}
+
+function getEscalation(id) {
+  return escalationStore.read().find((escalation) => escalation.id === id) || null;
+}
+
+// Applies { status, owner, note } and records the change in `history`.
+function updateEscalation(id, { status, owner, note, by } = {}) {
+  if (status && !STATUSES.includes(status)) {
+    throw new Error(`Invalid escalation status "${status}" (expected one of ${STATUSES.join(", ")})`);
+  }
+
+  return escalationStore.update((escalations) => {
+    const escalation = escalations.find((item) => item.id === id);
+    if (!escalation) return null;
+
+    const now = new Date().toISOString();
+    if (status) escalation.status = status;
+    if (owner) escalation.owner = owner;
+    escalation.history.push({ status: escalation.status, owner: escalation.owner, note, by, at: now });
+    escalation.updatedAt = now;
+
+    return escalation;
+  });
+}
+
+// Opens an escalation record, queues an apology to the customer (when we have
+// a usable email) and alerts the internal escalation mailbox.
+function runEscalation({ callId, customer, rating, reasons, enrichment, transcript, recordingUrl, language }) {
+  const rules = loadRules();
+  const escalation = createEscalation(
+    { callId, customer, rating, reasons, enrichment, recordingUrl },
+    rules
+  );
+
+  const jobs = {};
+
+  if (customer.email) {
+    const { subject, html, text } = templates.render(
+      "feedback-apology",
+      { userName: customer.name, escalationId: escalation.id },
+      { language }
+    );
+    jobs.apology = mailQueue.enqueue(
+      { to: customer.email, subject, html, text },
+      { meta: { callId, escalationId: escalation.id, action: "apology" } }
+    ).id;
+  }
+
+  const mailbox = config.ESCALATION_EMAIL;
+  if (mailbox) {
+    const { subject, html, text } = templates.render("escalation-alert", {
+      escalationId: escalation.id,
+      reasons: reasons.join(", "),
+      owner: escalation.owner,
+      status: escalation.status,
+      userName: customer.name,
+      email: customer.email,
+      mobile: customer.mobile,
+      callId,
+      rating,
+      sentiment: enrichment?.sentiment,
+      confidence: enrichment?.confidence,
+      recordingUrl,
+      transcript: enrichment?.translatedText || transcript,
+    });
+    jobs.alert = mailQueue.enqueue(
+      { to: mailbox, subject, html, text },
+      { meta: { callId, escalationId: escalation.id, action: "escalation_alert" } }
+    ).id;
+  } else {
+    log.warn("ESCALATION_EMAIL not set, internal alert skipped", { escalationId: escalation.id });
+  }
+
+  log.info("Escalation opened", { escalationId: escalation.id, reasons });
+  return { escalation, jobs };
+}
+
+module.exports = {
+  STATUSES,
+  loadRules,
+  evaluateEscalation,
+  runEscalation,
+  listEscalations,
+  getEscalation,
+  updateEscalation,
+};
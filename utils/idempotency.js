@@ -0,0 +1,143 @@
+const { createJsonStore } = require("./jsonStore");
+const { getCallId } = require("./bolnaPayload");
+const { config } = require("./config");
+const log = require("./logger").child({ module: "idempotency" });
+
+const TTL_MS = config.IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000;
+// a claim older than this is assumed to belong to a crashed process
+const PENDING_TIMEOUT_MS = config.IDEMPOTENCY_PENDING_TIMEOUT_MS;
+
+// callId -> { responses: { [key]: entry }, steps: { [step]: entry }, updatedAt }
+// where entry is { state: "pending" | "done", at, ... }
+const store = createJsonStore("idempotency.json", {});
+
+class IdempotencyConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "IdempotencyConflictError";
+    this.code = "DUPLICATE_IN_PROGRESS";
+  }
+}
+
+function prune(entries, now) {
+  for (const [callId, entry] of Object.entries(entries)) {
+    if (now - new Date(entry.updatedAt).getTime() > TTL_MS) delete entries[callId];
+  }
+}
+
+function isLivePending(entry, now) {
+  return entry?.state === "pending" && now - new Date(entry.at).getTime() < PENDING_TIMEOUT_MS;
+}
+
+// Claims `section[key]` for this process. Returns the existing entry when it
+// is already done or claimed by someone else, or null when we now own it.
+function claim(callId, section, key) {
+  return store.update((entries) => {
+    const now = Date.now();
+    prune(entries, now);
+
+    const record = (entries[callId] ||= { responses: {}, steps: {}, updatedAt: null });
+    const existing = record[section][key];
+    if (existing?.state === "done" || isLivePending(existing, now)) return existing;
+
+    record[section][key] = { state: "pending", at: new Date(now).toISOString() };
+    record.updatedAt = new Date(now).toISOString();
+    return null;
+  });
+}
+
+function complete(callId, section, key, fields) {
+  store.update((entries) => {
+    const record = entries[callId];
+    if (!record) return;
+    const at = new Date().toISOString();
+    record[section][key] = { state: "done", at, ...fields };
+    record.updatedAt = at;
+  });
+}
+
+function release(callId, section, key) {
+  store.update((entries) => {
+    if (entries[callId]) delete entries[callId][section][key];
+  });
+}
+
+// Runs a side effect at most once per call. A repeat returns the stored
+// result; a failure releases the claim so a later retry can run it again.
+// Resolves to { result, replayed }. Without a call id it simply runs `fn`.
+async function once(callId, step, fn) {
+  if (!callId) return { result: await fn(), replayed: false };
+
+  const existing = claim(callId, "steps", step);
+  if (existing?.state === "done") {
+    log.info("Skipping step, already done", { callId, step, doneAt: existing.at });
+    return { result: existing.result, replayed: true };
+  }
+  if (existing) {
+    throw new IdempotencyConflictError(`${step} for call ${callId} is already in progress`);
+  }
+
+  try {
+    const result = await fn();
+    complete(callId, "steps", step, { result: result ?? null });
+    return { result, replayed: false };
+  } catch (err) {
+    release(callId, "steps", step);
+    throw err;
+  }
+}
+
+// Express middleware: a payload whose call id and status were already
+// answered with a 2xx gets that same response back without running the
+// route again. A duplicate that arrives while the first is still being
+// processed gets 409 so the sender retries later.
+function idempotent(scope) {
+  return function idempotencyGuard(req, res, next) {
+    const callId = getCallId(req.body);
+    if (!callId) return next();
+
+    const status = String(req.body.status || "").toLowerCase();
+    const key = `${scope}:${status}`;
+    const existing = claim(callId, "responses", key);
+
+    if (existing?.state === "done") {
+      log.info("Duplicate webhook, replaying original response", { callId, key });
+      res.set("Idempotent-Replayed", "true");
+      return res.status(existing.statusCode).json(existing.body);
+    }
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        code: "DUPLICATE_IN_PROGRESS",
+        error: `Call ${callId} is already being processed`,
+      });
+    }
+
+    let body;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    res.on("finish", () => {
+      try {
+        if (res.statusCode >= 200 && res.statusCode < 300 && body !== undefined) {
+          complete(callId, "responses", key, { statusCode: res.statusCode, body });
+        } else {
+          release(callId, "responses", key);
+        }
+      } catch (err) {
+        log.error("Could not store idempotent response", { callId, key, err });
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  IdempotencyConflictError,
+  once,
+  idempotent,
+};
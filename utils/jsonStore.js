@@ -0,0 +1,43 @@
+const fs = require("fs");
+const path = require("path");
+
+const { config } = require("./config");
+
+const { DATA_DIR } = config;
+
+// Small JSON file store. Every call goes to disk so separate processes
+// (the server and maintenance scripts) always see each other's writes.
+function createJsonStore(fileName, defaultValue) {
+  const filePath = path.join(DATA_DIR, fileName);
+
+  function read() {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return structuredClone(defaultValue);
+      throw err;
+    }
+  }
+
+  function write(data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  // read-modify-write in one synchronous step so nothing interleaves
+  function update(fn) {
+    const data = read();
+    const result = fn(data);
+    write(data);
+    return result;
+  }
+
+  return { filePath, read, write, update };
+}
+
+module.exports = {
+  DATA_DIR,
+  createJsonStore,
+};
@@ -0,0 +1,98 @@
+const DEFAULT_LANGUAGE = "en";
+
+// languages we have email templates for; others fall back to English
+const SUPPORTED_LANGUAGES = ["en", "hi"];
+
+const LOCALES = {
+  en: "en-IN",
+  hi: "hi-IN",
+};
+
+const LANGUAGE_NAMES = {
+  english: "en",
+  hindi: "hi",
+  "हिंदी": "hi",
+  "हिन्दी": "hi",
+  tamil: "ta",
+  kannada: "kn",
+  gujarati: "gu",
+};
+
+// common romanised Hindi words, for Hinglish transcripts with no Devanagari
+const HINGLISH_WORDS = new Set([
+  "hai", "hain", "nahi", "nahin", "mera", "meri", "mujhe", "aap", "aapka",
+  "kripya", "kya", "haan", "ji", "theek", "bahut", "accha", "acha", "kar",
+]);
+
+function normalizeLanguage(value) {
+  if (!value) return null;
+
+  const key = String(value).trim().toLowerCase();
+  if (LANGUAGE_NAMES[key]) return LANGUAGE_NAMES[key];
+
+  const code = key.split(/[-_]/)[0];
+  return /^[a-z]{2}$/.test(code) ? code : null;
+}
+
+function detectLanguage(text) {
+  if (!text || !text.trim()) return null;
+
+  const letters = text.match(/\p{L}/gu) || [];
+  const devanagari = text.match(/\p{Script=Devanagari}/gu) || [];
+  if (letters.length && devanagari.length / letters.length >= 0.3) return "hi";
+
+  const words = text.toLowerCase().match(/[a-z]+/g) || [];
+  const hinglish = words.filter((word) => HINGLISH_WORDS.has(word)).length;
+  if (words.length && hinglish / words.length >= 0.2) return "hi";
+
+  return "en";
+}
+
+// Language for a Bolna payload: explicit fields first, then the transcript.
+function resolveLanguage(body = {}) {
+  const extracted = body.extracted_data || {};
+  const explicit =
+    normalizeLanguage(extracted.language) ||
+    normalizeLanguage(extracted.preferred_language) ||
+    normalizeLanguage(body.language);
+
+  return explicit || detectLanguage(body.transcript) || DEFAULT_LANGUAGE;
+}
+
+function localeFor(language) {
+  return LOCALES[language] || LOCALES[DEFAULT_LANGUAGE];
+}
+
+function formatDate(value, language, options = {}) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+
+  return date.toLocaleString(localeFor(language), {
+    timeZone: "Asia/Kolkata",
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    hour12: true,
+    ...options,
+  });
+}
+
+function formatNumber(value, language, options = {}) {
+  const number = Number(value);
+  if (value === "" || value == null || Number.isNaN(number)) return value;
+
+  return number.toLocaleString(localeFor(language), options);
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  detectLanguage,
+  resolveLanguage,
+  localeFor,
+  formatDate,
+  formatNumber,
+};
@@ -0,0 +1,166 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { config } = require("./config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[config.LOG_LEVEL] || LEVELS.info;
+
+// { correlationId, callId, ... } of the request or job being handled
+const context = new AsyncLocalStorage();
+
+// Values under these keys never reach the log.
+const SECRET_KEY = /token|secret|password|authorization|api[-_]?key|signature|cookie/i;
+// Free text that is personal by nature.
+const PERSONAL_KEY = /address|transcript|^(user_?name|customer_?name)$/i;
+const EMAIL_KEY = /(^|_)e-?mail$|Email$/i;
+const PHONE_KEY = /mobile|phone|user_number|^to(_number)?$|recipient(_id)?$/i;
+// callId, jobId, messageId, ...: kept as-is even when they happen to look
+// like a number
+const ID_KEY = /^id$|Id$/;
+
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /(?<!\w)(?:\+?91[\s-]?|0)?[6-9]\d{4}[\s-]?\d{5}(?!\w)/g;
+const BEARER_PATTERN = /\bBearer\s+[\w.~+/-]+=*/gi;
+
+// ravi.kumar@gmail.com -> r***@gmail.com
+function maskEmail(value) {
+  const [local, domain] = String(value).split("@");
+  return domain ? `${local.slice(0, 1)}***@${domain}` : "[redacted]";
+}
+
+// +919876543210 -> ********3210
+function maskPhone(value) {
+  const digits = String(value).replace(/\D/g, "");
+  return digits.length >= 6 ? `${"*".repeat(digits.length - 4)}${digits.slice(-4)}` : "[redacted]";
+}
+
+// Masks emails, Indian mobiles and bearer tokens wherever they appear in text.
+function maskText(text) {
+  return text
+    .replace(BEARER_PATTERN, "Bearer [redacted]")
+    .replace(EMAIL_PATTERN, maskEmail)
+    .replace(PHONE_PATTERN, maskPhone);
+}
+
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code != null && { code: err.code }),
+    ...(err.response && { status: err.response.status, response: err.response.data ?? err.response.body }),
+    ...(!err.response && err.stack && { stack: err.stack }),
+  };
+}
+
+// Deep copy of `value` that is safe to log: secrets dropped, personal data
+// masked by key name, and anything that looks like an email, mobile or token
+// masked in the remaining strings.
+function redact(value, key = "", seen = new WeakSet()) {
+  if (value == null || typeof value === "boolean" || typeof value === "number") {
+    if (typeof value === "number" && PHONE_KEY.test(key)) return maskPhone(value);
+    return value;
+  }
+  if (SECRET_KEY.test(key)) return "[redacted]";
+  if (PERSONAL_KEY.test(key)) return "[redacted]";
+
+  if (typeof value === "string") {
+    if (ID_KEY.test(key)) return value;
+    if (EMAIL_KEY.test(key) || PHONE_KEY.test(key)) {
+      if (value.includes("@")) return maskEmail(value);
+      if (/\d{6}/.test(value.replace(/\D/g, ""))) return maskPhone(value);
+      // a spoken address ("ravi at gmail dot com") is still an address
+      if (EMAIL_KEY.test(key)) return "[redacted]";
+    }
+    return maskText(value);
+  }
+
+  if (value instanceof Error) return redact(serializeError(value), key, seen);
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "object") return String(value);
+
+  if (seen.has(value)) return "[circular]";
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, key, seen));
+  return Object.fromEntries(
+    Object.entries(value).map(([name, item]) => [name, redact(item, name, seen)])
+  );
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    ...bindings,
+    ...context.getStore(),
+    msg: typeof msg === "string" ? msg : String(msg),
+    ...(fields instanceof Error ? { err: fields } : fields),
+  });
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// One JSON line per entry: { time, level, module, correlationId, callId, msg,
+// ...fields }. `child` adds fixed fields, usually the module name.
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write("debug", bindings, msg, fields),
+    info: (msg, fields) => write("info", bindings, msg, fields),
+    warn: (msg, fields) => write("warn", bindings, msg, fields),
+    error: (msg, fields) => write("error", bindings, msg, fields),
+    child: (extra) => createLogger({ ...bindings, ...extra }),
+  };
+}
+
+function getCorrelationId() {
+  return context.getStore()?.correlationId || null;
+}
+
+// Runs `fn` with its own log context, e.g. a queued job picking up the
+// correlation ID of the request that created it.
+function withContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Adds fields (callId, ...) to every later entry of the current request.
+function addContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// Headers that carry the correlation ID on outbound HTTP calls.
+function correlationHeaders() {
+  const correlationId = getCorrelationId();
+  return correlationId ? { "X-Correlation-Id": correlationId } : {};
+}
+
+const INCOMING_ID = /^[\w.:-]{1,100}$/;
+
+// Express middleware: gives each request a correlation ID (the caller's
+// X-Correlation-Id / X-Request-Id when it looks sane, otherwise a new UUID),
+// echoes it in the response and tags every log entry made while handling it.
+// Mount after the body parser, which would otherwise lose the context.
+function correlate() {
+  return function correlationMiddleware(req, res, next) {
+    const incoming = req.get("x-correlation-id") || req.get("x-request-id");
+    const correlationId = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+    req.correlationId = correlationId;
+    res.set("X-Correlation-Id", correlationId);
+    context.run({ correlationId }, next);
+  };
+}
+
+module.exports = {
+  ...createLogger(),
+  createLogger,
+  redact,
+  correlate,
+  getCorrelationId,
+  withContext,
+  addContext,
+  correlationHeaders,
+};
@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const sendMail = require("./sendMail");
+const { createJsonStore } = require("./jsonStore");
+const { config } = require("./config");
+const logger = require("./logger");
+
+const log = logger.child({ module: "mailQueue" });
+
+const queueStore = createJsonStore("mail-queue.json", []);
+const deadLetterStore = createJsonStore("mail-dead-letter.json", []);
+
+const {
+  MAIL_QUEUE_MAX_ATTEMPTS: MAX_ATTEMPTS,
+  MAIL_QUEUE_BASE_DELAY_MS: BASE_DELAY_MS,
+  MAIL_QUEUE_MAX_DELAY_MS: MAX_DELAY_MS,
+  MAIL_QUEUE_POLL_MS: POLL_INTERVAL_MS,
+} = config;
+
+// emits "sent", "retry" and "dead" with the job
+const events = new EventEmitter();
+
+let timer = null;
+let running = false;
+
+function backoffDelay(attempts) {
+  const delay = BASE_DELAY_MS * 2 ** (attempts - 1);
+  const jitter = Math.random() * BASE_DELAY_MS;
+  return Math.min(delay + jitter, MAX_DELAY_MS);
+}
+
+function enqueue(mail, { maxAttempts = MAX_ATTEMPTS, meta = {} } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    mail,
+    meta,
+    // the request that queued the mail, so its delivery logs can be traced back
+    correlationId: logger.getCorrelationId(),
+    attempts: 0,
+    maxAttempts,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+  };
+
+  queueStore.update((jobs) => jobs.push(job));
+  log.info("Email queued", { to: mail.to, jobId: job.id });
+
+  return job;
+}
+
+function nextDueJob(now) {
+  return queueStore
+    .read()
+    .filter((job) => new Date(job.nextAttemptAt).getTime() <= now)
+    .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))[0];
+}
+
+function removeJob(id) {
+  queueStore.update((jobs) => {
+    const index = jobs.findIndex((job) => job.id === id);
+    if (index !== -1) jobs.splice(index, 1);
+  });
+}
+
+async function processJob(job) {
+  job.attempts += 1;
+
+  try {
+    const result = await sendMail(job.mail);
+    removeJob(job.id);
+    events.emit("sent", job, result);
+  } catch (err) {
+    job.lastError = err.response?.body?.message || err.message;
+
+    if (job.attempts >= job.maxAttempts) {
+      removeJob(job.id);
+      deadLetterStore.update((jobs) =>
+        jobs.push({ ...job, failedAt: new Date().toISOString() })
+      );
+      log.error("Email dead-lettered", { jobId: job.id, error: job.lastError });
+      events.emit("dead", job);
+      return;
+    }
+
+    job.nextAttemptAt = new Date(Date.now() + backoffDelay(job.attempts)).toISOString();
+    queueStore.update((jobs) => {
+      const index = jobs.findIndex((queued) => queued.id === job.id);
+      if (index !== -1) jobs[index] = job;
+    });
+    log.warn("Email retry scheduled", {
+      jobId: job.id,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextAttemptAt: job.nextAttemptAt,
+      error: job.lastError,
+    });
+    events.emit("retry", job);
+  }
+}
+
+// Drains every job that is due, one at a time.
+async function processDueJobs() {
+  if (running) return;
+  running = true;
+
+  try {
+    let job;
+    while ((job = nextDueJob(Date.now()))) {
+      const { correlationId, meta } = job;
+      await logger.withContext({ correlationId, callId: meta?.callId }, () => processJob(job));
+    }
+  } catch (err) {
+    log.error("Mail queue error", { err });
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(processDueJobs, POLL_INTERVAL_MS);
+  timer.unref();
+  processDueJobs();
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+function listDeadLetters() {
+  return deadLetterStore.read();
+}
+
+// Moves dead-lettered jobs (all of them, or only `ids`) back onto the queue
+// with a fresh attempt budget.
+function replayDeadLetters(ids) {
+  const now = new Date().toISOString();
+
+  const replayed = deadLetterStore.update((jobs) => {
+    const selected = jobs.filter((job) => !ids || ids.includes(job.id));
+    const remaining = jobs.filter((job) => !selected.includes(job));
+    jobs.splice(0, jobs.length, ...remaining);
+    return selected;
+  });
+
+  if (replayed.length) {
+    queueStore.update((jobs) => {
+      for (const { failedAt, ...job } of replayed) {
+        jobs.push({ ...job, attempts: 0, nextAttemptAt: now, lastError: null });
+      }
+    });
+  }
+
+  return replayed.map((job) => job.id);
+}
+
+module.exports = {
+  enqueue,
+  start,
+  stop,
+  processDueJobs,
+  listDeadLetters,
+  replayDeadLetters,
+  events,
+};
@@ -0,0 +1,117 @@
+const mailQueue = require("./mailQueue");
+const templates = require("./templates");
+const whatsapp = require("./whatsapp");
+const sms = require("./sms");
+const { getPreferences } = require("./preferences");
+const log = require("./logger").child({ module: "notify" });
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const channels = {
+  email: {
+    address: (customer) => (EMAIL_PATTERN.test(customer.email || "") ? customer.email : null),
+    async send(to, { template, data, language, subject, html, text }, meta) {
+      const message = template
+        ? templates.render(template, data, { language })
+        : { subject, html, text };
+      const job = mailQueue.enqueue(
+        { to, subject: message.subject, html: message.html, text: message.text },
+        { meta }
+      );
+      return { status: "queued", jobId: job.id };
+    },
+  },
+  whatsapp: {
+    address: (customer) => whatsapp.normalizeIndianMobile(customer.mobile),
+    async send(to, { template, language, parameters }, meta) {
+      const { messageId } = await whatsapp.sendTemplate({ to, template, language, parameters, meta });
+      return { status: "sent", messageId };
+    },
+  },
+  sms: {
+    address: (customer) =>
+      sms.isConfigured() ? whatsapp.normalizeIndianMobile(customer.mobile) : null,
+    unavailableReason: () => (sms.isConfigured() ? "no_address" : "not_configured"),
+    async send(to, { text }) {
+      const { messageId } = await sms.sendSms({ to, text });
+      return { status: "sent", messageId };
+    },
+  },
+};
+
+// Decides, per requested channel, whether to send or why it is skipped.
+// A preferred channel that can be used is the only one sent on.
+function planChannels(intent, customer, preferences) {
+  const requested = Object.keys(channels).filter((name) => intent[name]);
+  const plan = {};
+
+  for (const name of requested) {
+    if (preferences.optOut.includes(name)) {
+      plan[name] = { skip: "opted_out" };
+      continue;
+    }
+
+    const address = channels[name].address(customer);
+    plan[name] = address
+      ? { address }
+      : { skip: channels[name].unavailableReason?.() || "no_address" };
+  }
+
+  const preferred = preferences.preferredChannel;
+  if (preferred && plan[preferred]?.address) {
+    for (const name of requested) {
+      if (name !== preferred && plan[name].address) plan[name] = { skip: "not_preferred" };
+    }
+  }
+
+  return plan;
+}
+
+// Fans one notification intent out to email, WhatsApp and SMS independently.
+//
+//   notify({
+//     customer: { name, email, mobile },
+//     email: { template, data, language } | { subject, html, text },
+//     whatsapp: { template, language, parameters },
+//     sms: { text },
+//     meta: { callId, ... },
+//   })
+//
+// Only channels present on the intent are attempted. Resolves to a result per
+// channel: { status: "queued" | "sent" | "skipped" | "failed", ... }. Never
+// rejects because of a channel failure.
+async function notify(intent) {
+  const customer = intent.customer || {};
+  const preferences = getPreferences(customer);
+  const plan = planChannels(intent, customer, preferences);
+
+  const entries = await Promise.all(
+    Object.entries(plan).map(async ([name, step]) => {
+      if (step.skip) {
+        return [name, { status: "skipped", reason: step.skip }];
+      }
+
+      try {
+        return [name, await channels[name].send(step.address, intent[name], intent.meta || {})];
+      } catch (err) {
+        log.error("Notification failed", { channel: name, err });
+        return [
+          name,
+          {
+            status: "failed",
+            error: err.message,
+            code: err.code ?? null,
+            retryable: err.retryable ?? null,
+          },
+        ];
+      }
+    })
+  );
+
+  return Object.fromEntries(entries);
+}
+
+module.exports = {
+  notify,
+  planChannels,
+};
@@ -0,0 +1,61 @@
+const { createJsonStore } = require("./jsonStore");
+const { normalizeIndianMobile } = require("./whatsapp");
+
+// "call" covers outbound callbacks; the rest are notification channels
+const CHANNELS = ["email", "whatsapp", "sms", "call"];
+
+const preferenceStore = createJsonStore("customer-preferences.json", {});
+
+// Preferences are stored under every identifier we know for the customer
+function contactKeys({ email, mobile } = {}) {
+  const keys = [];
+  if (email) keys.push(`email:${String(email).trim().toLowerCase()}`);
+  const phone = normalizeIndianMobile(mobile);
+  if (phone) keys.push(`mobile:${phone}`);
+  return keys;
+}
+
+// Returns { optOut: [...channels], preferredChannel } merged across the
+// customer's email and mobile entries.
+function getPreferences(contact) {
+  const stored = preferenceStore.read();
+  const entries = contactKeys(contact).map((key) => stored[key]).filter(Boolean);
+
+  return {
+    optOut: [...new Set(entries.flatMap((entry) => entry.optOut || []))],
+    preferredChannel: entries.find((entry) => entry.preferredChannel)?.preferredChannel || null,
+  };
+}
+
+function setPreferences(contact, { optOut, preferredChannel }) {
+  const invalid = [...(optOut || []), preferredChannel].filter(
+    (channel) => channel && !CHANNELS.includes(channel)
+  );
+  if (invalid.length) {
+    throw new Error(`Unknown channel(s): ${invalid.join(", ")}`);
+  }
+
+  const keys = contactKeys(contact);
+  if (!keys.length) {
+    throw new Error("A valid email or mobile is required");
+  }
+
+  preferenceStore.update((stored) => {
+    for (const key of keys) {
+      stored[key] = {
+        ...stored[key],
+        ...(optOut !== undefined && { optOut }),
+        ...(preferredChannel !== undefined && { preferredChannel }),
+        updatedAt: new Date().toISOString(),
+      };
+    }
+  });
+
+  return getPreferences(contact);
+}
+
+module.exports = {
+  CHANNELS,
+  getPreferences,
+  setPreferences,
+};
@@ -1,19 +1,21 @@
 const axios = require("axios");
+const { config } = require("./config");
+const log = require("./logger").child({ module: "salesforce" });
 
 let cachedToken = null;
 let tokenExpiryTime = null;
 
 async function fetchNewToken() {
-  console.log("🔐 Fetching new Salesforce token...");
+  log.info("Fetching new Salesforce token");
 
   const response = await axios.post(
-    "https://login.salesforce.com/services/oauth2/token",
+    `${config.SF_LOGIN_URL}/services/oauth2/token`,
     new URLSearchParams({
       grant_type: "password",
-      client_id: process.env.SF_CLIENT_ID,
-      client_secret: process.env.SF_CLIENT_SECRET,
-      username: process.env.SF_USERNAME,
-      password: process.env.SF_PASSWORD,
+      client_id: config.SF_CLIENT_ID,
+      client_secret: config.SF_CLIENT_SECRET,
+      username: config.SF_USERNAME,
+      password: config.SF_PASSWORD,
     }),
     {
       headers: {
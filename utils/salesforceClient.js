@@ -0,0 +1,167 @@
+const axios = require("axios");
+const { getSalesforceToken, clearToken } = require("./salesforceAuth");
+const { config } = require("./config");
+const logger = require("./logger");
+
+const log = logger.child({ module: "salesforce" });
+
+function apiBaseUrl() {
+  const instanceUrl = config.SF_INSTANCE_URL;
+  if (!instanceUrl) {
+    throw new Error("SF_INSTANCE_URL is not configured");
+  }
+
+  return `${instanceUrl}/services/data/${config.SF_API_VERSION}`;
+}
+
+// Calls the REST API with the cached token. A 401 means the token was revoked
+// or expired early, so it is cleared and the call retried once.
+async function request(method, path, { data, params } = {}, retried = false) {
+  const token = await getSalesforceToken();
+
+  try {
+    const response = await axios({
+      method,
+      url: `${apiBaseUrl()}${path}`,
+      data,
+      params,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+        ...logger.correlationHeaders(),
+      },
+    });
+    return response.data;
+  } catch (err) {
+    if (err.response?.status === 401 && !retried) {
+      log.warn("Salesforce token rejected, refreshing and retrying");
+      clearToken();
+      return request(method, path, { data, params }, true);
+    }
+    throw err;
+  }
+}
+
+function soqlString(value) {
+  return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+}
+
+async function query(soql) {
+  const result = await request("get", "/query", { params: { q: soql } });
+  return result.records || [];
+}
+
+// the same Indian mobile may be stored with or without a country code
+function phoneVariants(mobile) {
+  const digits = String(mobile).replace(/\D/g, "").replace(/^(91|0)(?=\d{10}$)/, "");
+  return [digits, `+91${digits}`, `91${digits}`, `0${digits}`, `+91 ${digits}`];
+}
+
+async function findContact({ email, mobile }) {
+  const fields = "Id, AccountId, FirstName, LastName, Email, MobilePhone, Phone";
+
+  if (email) {
+    const [contact] = await query(
+      `SELECT ${fields} FROM Contact WHERE Email = ${soqlString(email)} ORDER BY LastModifiedDate DESC LIMIT 1`
+    );
+    if (contact) return contact;
+  }
+
+  if (mobile) {
+    const variants = phoneVariants(mobile).map(soqlString).join(", ");
+    const [contact] = await query(
+      `SELECT ${fields} FROM Contact WHERE MobilePhone IN (${variants}) OR Phone IN (${variants}) ORDER BY LastModifiedDate DESC LIMIT 1`
+    );
+    if (contact) return contact;
+  }
+
+  return null;
+}
+
+function splitName(name) {
+  const parts = String(name || "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return { FirstName: null, LastName: "Customer" };
+  if (parts.length === 1) return { FirstName: null, LastName: parts[0] };
+  return { FirstName: parts.slice(0, -1).join(" "), LastName: parts[parts.length - 1] };
+}
+
+// Finds the contact by email, then mobile; creates one when neither matches.
+// Missing email/mobile on an existing contact are filled in. New contacts go
+// under `accountId`, or SF_DEFAULT_ACCOUNT_ID.
+async function upsertContact({ name, email, mobile, accountId }) {
+  const existing = await findContact({ email, mobile });
+
+  if (existing) {
+    const updates = {};
+    if (email && !existing.Email) updates.Email = email;
+    if (mobile && !existing.MobilePhone) updates.MobilePhone = mobile;
+
+    if (Object.keys(updates).length) {
+      await request("patch", `/sobjects/Contact/${existing.Id}`, { data: updates });
+      Object.assign(existing, updates);
+    }
+    return existing;
+  }
+
+  const contact = {
+    ...splitName(name),
+    Email: email || null,
+    MobilePhone: mobile || null,
+  };
+  if (accountId || config.SF_DEFAULT_ACCOUNT_ID) {
+    contact.AccountId = accountId || config.SF_DEFAULT_ACCOUNT_ID;
+  }
+
+  const created = await request("post", "/sobjects/Contact", { data: contact });
+  log.info("Salesforce Contact created", { contactId: created.id });
+
+  return { Id: created.id, ...contact };
+}
+
+const recordTypeIds = new Map();
+
+// Record type IDs differ between orgs, so workflows name them by
+// DeveloperName and the ID is looked up once per process.
+async function getRecordTypeId(sobject, developerName) {
+  const key = `${sobject}.${developerName}`;
+  if (!recordTypeIds.has(key)) {
+    const [recordType] = await query(
+      `SELECT Id FROM RecordType WHERE SobjectType = ${soqlString(sobject)} AND DeveloperName = ${soqlString(developerName)} LIMIT 1`
+    );
+    if (!recordType) throw new Error(`Salesforce has no ${sobject} record type "${developerName}"`);
+    recordTypeIds.set(key, recordType.Id);
+  }
+  return recordTypeIds.get(key);
+}
+
+// Creates a Case linked to the contact (and its account). Resolves to
+// { id, caseNumber }.
+async function createCase({ contact, subject, description, origin = "Phone", priority = "Medium", fields = {} }) {
+  const created = await request("post", "/sobjects/Case", {
+    data: {
+      Subject: subject,
+      Description: description,
+      Origin: origin,
+      Priority: priority,
+      ContactId: contact?.Id,
+      AccountId: contact?.AccountId,
+      ...fields,
+    },
+  });
+
+  const { CaseNumber } = await request("get", `/sobjects/Case/${created.id}`, {
+    params: { fields: "CaseNumber" },
+  });
+
+  log.info("Salesforce Case created", { caseId: created.id, caseNumber: CaseNumber });
+  return { id: created.id, caseNumber: CaseNumber };
+}
+
+module.exports = {
+  request,
+  query,
+  findContact,
+  upsertContact,
+  getRecordTypeId,
+  createCase,
+};
@@ -0,0 +1,119 @@
+// Minimal declarative validation for webhook payloads.
+//
+// A schema maps canonical field names to rules:
+//   type      "string" | "number" | "integer" | "boolean"
+//   aliases   other keys the value may arrive under (matched case-insensitively)
+//   required  true, or a function (input) => boolean
+//   default   used when the field is absent
+//   min / max numeric bounds, or length bounds for strings
+//   enum      allowed values
+//   normalize (value) => { value, error, ...extra } run after coercion; extra
+//             keys are returned in `details[field]`
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+}
+
+function findValue(input, name, aliases = []) {
+  const wanted = [name, ...aliases].map((key) => key.toLowerCase());
+  for (const key of wanted) {
+    const match = Object.keys(input).find((candidate) => candidate.toLowerCase() === key);
+    if (match !== undefined && !isBlank(input[match])) return input[match];
+  }
+  return undefined;
+}
+
+function coerce(value, type) {
+  switch (type) {
+    case "number":
+    case "integer": {
+      const number = typeof value === "number" ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) return { error: "must be a number" };
+      if (type === "integer" && !Number.isInteger(number)) return { error: "must be a whole number" };
+      return { value: number };
+    }
+    case "boolean": {
+      if (typeof value === "boolean") return { value };
+      const text = String(value).trim().toLowerCase();
+      if (["true", "yes", "1", "haan", "हाँ"].includes(text)) return { value: true };
+      if (["false", "no", "0", "nahi", "नहीं"].includes(text)) return { value: false };
+      return { error: "must be true or false" };
+    }
+    case "string":
+    default:
+      if (typeof value === "object") return { error: "must be text" };
+      return { value: String(value).trim() };
+  }
+}
+
+function checkBounds(value, rule) {
+  const size = typeof value === "string" ? value.length : value;
+  const unit = typeof value === "string" ? " characters" : "";
+
+  if (rule.min !== undefined && size < rule.min) return `must be at least ${rule.min}${unit}`;
+  if (rule.max !== undefined && size > rule.max) return `must be at most ${rule.max}${unit}`;
+  if (rule.enum && !rule.enum.includes(value)) return `must be one of ${rule.enum.join(", ")}`;
+  return null;
+}
+
+// Returns { value, errors, details }. `errors` lists every problem as
+// { field, message }; `value` holds the coerced fields under canonical names.
+// With `lenient`, a problem with a field that is not required is only a
+// warning: the value is dropped (or defaulted) and the message is kept in
+// `details[field].warning`.
+function validate(schema, input = {}, { lenient = false } = {}) {
+  const source = input && typeof input === "object" ? input : {};
+  const value = {};
+  const details = {};
+  const errors = [];
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = findValue(source, field, rule.aliases);
+    const required = typeof rule.required === "function" ? rule.required(source) : rule.required;
+
+    if (raw === undefined) {
+      if (required) errors.push({ field, message: `${field} is required` });
+      else if (rule.default !== undefined) value[field] = rule.default;
+      continue;
+    }
+
+    const reject = (message) => {
+      if (required || !lenient) return errors.push({ field, message });
+      details[field] = { ...details[field], warning: message };
+      if (rule.default !== undefined) value[field] = rule.default;
+    };
+
+    const coerced = coerce(raw, rule.type);
+    if (coerced.error) {
+      reject(`${field} ${coerced.error}`);
+      continue;
+    }
+
+    let result = coerced.value;
+
+    if (rule.normalize) {
+      const { value: normalized, error, ...extra } = rule.normalize(result);
+      if (Object.keys(extra).length) details[field] = extra;
+      if (error) {
+        reject(error);
+        continue;
+      }
+      result = normalized;
+    }
+
+    const boundsError = checkBounds(result, rule);
+    if (boundsError) {
+      reject(`${field} ${boundsError}`);
+      continue;
+    }
+
+    value[field] = result;
+  }
+
+  return { value, errors, details };
+}
+
+module.exports = {
+  validate,
+  findValue,
+};
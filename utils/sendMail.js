@@ -1,36 +1,43 @@
-const SibApiV3Sdk = require("sib-api-v3-sdk");
+const { getTransport } = require("./transports");
+const { config } = require("./config");
+const log = require("./logger").child({ module: "sendMail" });
 
-const client = SibApiV3Sdk.ApiClient.instance;
-
-const apiKey = client.authentications["api-key"];
-apiKey.apiKey = process.env.BREVO_API_KEY;
-
-const tranEmailApi = new SibApiV3Sdk.TransactionalEmailsApi();
-
-async function sendMail({ to, subject, html, userName, rating }) {
-  try {
-    console.log("📧 Sending email →", to);
-
-    const response = await tranEmailApi.sendTransacEmail({
-      sender: {
-        email: process.env.EMAIL_USER,
-        name: "Hindalco Support",
-      },
-      to: [
-        {
-          email: to,
-        },
-      ],
-      subject: subject,
-      htmlContent: html,
-    });
-
-    console.log("✅ Email sent:", response.messageId);
+function transportChain() {
+  const { MAIL_TRANSPORT: primary, MAIL_FALLBACK_TRANSPORT: fallback } = config;
+  return fallback && fallback !== primary ? [primary, fallback] : [primary];
+}
 
-  } catch (err) {
-    console.error("❌ Email error:", err.response?.body || err.message);
-    throw err;
+// Sends through MAIL_TRANSPORT, failing over to MAIL_FALLBACK_TRANSPORT.
+// Resolves to { provider, messageId }.
+async function sendMail({ to, subject, html, text }) {
+  const message = {
+    from: {
+      email: config.EMAIL_USER,
+      name: config.EMAIL_FROM_NAME,
+    },
+    to,
+    subject,
+    html,
+    text,
+  };
+
+  const chain = transportChain();
+  let lastError;
+
+  for (const name of chain) {
+    try {
+      log.info("Sending email", { provider: name, to });
+      const { messageId } = await getTransport(name).send(message);
+      log.info("Email sent", { provider: name, messageId });
+
+      return { provider: name, messageId };
+    } catch (err) {
+      lastError = err;
+      log.error("Email error", { provider: name, err });
+    }
   }
+
+  throw lastError;
 }
 
-module.exports = sendMail;
\ No newline at end of file
+module.exports = sendMail;
@@ -0,0 +1,91 @@
+const fs = require("fs");
+const { config } = require("./config");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// read on every call so the dataset can be updated without a restart
+function loadServiceAreas(file = config.SERVICE_AREAS_FILE) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// How many pincodes a pattern covers, or 0 if it does not cover `pincode`.
+// Patterns are a pincode ("302001"), a range ("302001-302040") or a
+// prefix ("30"); the narrowest match wins.
+function coverage(pattern, pincode) {
+  const range = pattern.match(/^(\d{6})\s*-\s*(\d{6})$/);
+  if (range) {
+    const [low, high] = [Number(range[1]), Number(range[2])];
+    const value = Number(pincode);
+    return value >= low && value <= high ? high - low + 1 : 0;
+  }
+  return pincode.startsWith(pattern) ? 10 ** (6 - pattern.length) : 0;
+}
+
+function findTerritory(pincode, areas) {
+  let best = null;
+  for (const territory of areas.territories || []) {
+    for (const pattern of territory.pincodes || []) {
+      const size = coverage(String(pattern).trim(), pincode);
+      if (size && (!best || size < best.size)) best = { territory, size };
+    }
+  }
+  return best?.territory || null;
+}
+
+// Who serves a pincode and how fast: { pincode, territory, city, tier,
+// label, slaHours, serviceCenter, technicianPool, matched }. A pincode
+// outside every territory gets the dataset's `fallback`.
+function lookupPincode(pincode, areas = loadServiceAreas()) {
+  const pin = String(pincode ?? "").trim();
+  const territory = (/^[1-9]\d{5}$/.test(pin) && findTerritory(pin, areas)) || null;
+  const area = territory || areas.fallback || {};
+  const tier = areas.tiers?.[area.tier] || {};
+
+  return {
+    pincode: pin || null,
+    territory: area.id || null,
+    city: area.city || null,
+    tier: area.tier || null,
+    label: tier.label || { en: area.tier },
+    slaHours: area.slaHours ?? tier.slaHours ?? null,
+    serviceCenter: area.serviceCenter || null,
+    technicianPool: area.technicianPool || null,
+    matched: Boolean(territory),
+  };
+}
+
+// The visit is promised within the SLA from when the call came in. A time
+// the customer asked for is honoured as a `slotHours` slot, even past the
+// SLA; `withinSla` says whether it is.
+function promisedVisit({ requestedAt = new Date(), preferredAt, slaHours, slotHours = 4 }) {
+  const start = new Date(requestedAt).getTime();
+  const dueBy = start + (slaHours ?? 0) * HOUR_MS;
+  const preferred = preferredAt ? new Date(preferredAt).getTime() : NaN;
+
+  const [from, to] = preferred > start
+    ? [preferred, preferred + slotHours * HOUR_MS]
+    : [start, dueBy];
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    dueBy: new Date(dueBy).toISOString(),
+    withinSla: from <= dueBy,
+  };
+}
+
+// lookupPincode() plus the promised `visit` window
+function assignServiceArea({ pincode, preferredAt, requestedAt = new Date() }, areas = loadServiceAreas()) {
+  const area = lookupPincode(pincode, areas);
+  return {
+    ...area,
+    visit: promisedVisit({ requestedAt, preferredAt, slaHours: area.slaHours, slotHours: areas.visitSlotHours }),
+  };
+}
+
+module.exports = {
+  loadServiceAreas,
+  lookupPincode,
+  promisedVisit,
+  assignServiceArea,
+};
@@ -0,0 +1,43 @@
+const axios = require("axios");
+const { normalizeIndianMobile } = require("./whatsapp");
+const { config } = require("./config");
+const logger = require("./logger");
+
+const log = logger.child({ module: "sms" });
+
+function isConfigured() {
+  return Boolean(config.SMS_API_URL);
+}
+
+// Posts to a generic HTTP SMS gateway ({ to, text, sender } as JSON).
+// Resolves to { messageId, to }.
+async function sendSms({ to, text }) {
+  const recipient = normalizeIndianMobile(to);
+  if (!recipient) {
+    const err = new Error(`Invalid Indian mobile number "${to}"`);
+    err.code = "INVALID_NUMBER";
+    throw err;
+  }
+
+  const response = await axios.post(
+    config.SMS_API_URL,
+    { to: recipient, text, sender: config.SMS_SENDER_ID },
+    {
+      headers: {
+        Authorization: `Bearer ${config.SMS_API_KEY}`,
+        "Content-Type": "application/json",
+        ...logger.correlationHeaders(),
+      },
+    }
+  );
+
+  const messageId = response.data?.messageId || response.data?.id || null;
+  log.info("SMS sent", { messageId });
+
+  return { messageId, to: recipient };
+}
+
+module.exports = {
+  isConfigured,
+  sendSms,
+};
@@ -0,0 +1,261 @@
+const { tokenize, toAsciiDigits } = require("./spokenTokens");
+
+const IST_OFFSET_MINUTES = 330;
+const DEFAULT_HOUR = 10;
+// the last hour a visit can start
+const LAST_SLOT_HOUR = 18;
+
+// Days from today. "कल"/"kal" means both yesterday and tomorrow in Hindi;
+// a visit date is always ahead, so it is read as tomorrow.
+const RELATIVE_DAYS = {
+  today: 0, aaj: 0, "आज": 0,
+  tomorrow: 1, kal: 1, "कल": 1,
+  parson: 2, parso: 2, parsoon: 2, "परसों": 2, "परसो": 2,
+};
+
+const RELATIVE_PHRASES = [
+  [["day", "after", "tomorrow"], 2],
+  [["next", "week"], 7],
+  [["agle", "hafte"], 7],
+  [["अगले", "हफ्ते"], 7],
+  [["अगले", "हफ़्ते"], 7],
+];
+
+const WEEKDAYS = {
+  sunday: 0, ravivar: 0, raviwar: 0, "रविवार": 0, itwar: 0, "इतवार": 0,
+  monday: 1, somvar: 1, somwar: 1, "सोमवार": 1,
+  tuesday: 2, mangalvar: 2, mangalwar: 2, "मंगलवार": 2,
+  wednesday: 3, budhvar: 3, budhwar: 3, "बुधवार": 3,
+  thursday: 4, guruvar: 4, guruwar: 4, "गुरुवार": 4, "बृहस्पतिवार": 4,
+  friday: 5, shukravar: 5, shukrawar: 5, "शुक्रवार": 5,
+  saturday: 6, shanivar: 6, shaniwar: 6, "शनिवार": 6,
+};
+
+const MONTHS = {
+  january: 0, jan: 0, "जनवरी": 0,
+  february: 1, feb: 1, "फ़रवरी": 1, "फरवरी": 1,
+  march: 2, mar: 2, "मार्च": 2,
+  april: 3, apr: 3, "अप्रैल": 3,
+  may: 4, "मई": 4,
+  june: 5, jun: 5, "जून": 5,
+  july: 6, jul: 6, "जुलाई": 6,
+  august: 7, aug: 7, "अगस्त": 7,
+  september: 8, sep: 8, sept: 8, "सितंबर": 8, "सितम्बर": 8,
+  october: 9, oct: 9, "अक्टूबर": 9,
+  november: 10, nov: 10, "नवंबर": 10, "नवम्बर": 10,
+  december: 11, dec: 11, "दिसंबर": 11, "दिसम्बर": 11,
+};
+
+// default hour for a part of the day, and whether "4" in it means 16:00
+const DAY_PARTS = {
+  morning: { hour: 10, pm: false }, subah: { hour: 10, pm: false }, "सुबह": { hour: 10, pm: false },
+  afternoon: { hour: 14, pm: true }, dopahar: { hour: 14, pm: true }, dopehar: { hour: 14, pm: true }, "दोपहर": { hour: 14, pm: true },
+  evening: { hour: 17, pm: true }, shaam: { hour: 17, pm: true }, sham: { hour: 17, pm: true }, "शाम": { hour: 17, pm: true },
+  night: { hour: 20, pm: true }, raat: { hour: 20, pm: true }, "रात": { hour: 20, pm: true },
+};
+
+const HOUR_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  ek: 1, do: 2, teen: 3, char: 4, chaar: 4, paanch: 5, panch: 5, chhe: 6, saat: 7, aath: 8, nau: 9, das: 10, gyarah: 11, barah: 12, baarah: 12,
+  "एक": 1, "दो": 2, "तीन": 3, "चार": 4, "पाँच": 5, "पांच": 5, "छह": 6, "छः": 6, "सात": 7, "आठ": 8, "नौ": 9, "दस": 10, "ग्यारह": 11, "बारह": 12,
+};
+
+const HOUR_MARKERS = new Set(["baje", "bje", "बजे", "o'clock", "oclock", "clock"]);
+
+// Wall-clock parts of `date` in IST
+function istParts(date) {
+  const shifted = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth(),
+    day: shifted.getUTCDate(),
+    weekday: shifted.getUTCDay(),
+  };
+}
+
+function fromIst(year, month, day, hour, minute) {
+  return new Date(Date.UTC(year, month, day, hour, minute) - IST_OFFSET_MINUTES * 60 * 1000);
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+// ISO 8601 in IST, e.g. 2026-01-20T10:00:00+05:30
+function toIstIso(date) {
+  const shifted = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  return (
+    `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}` +
+    `T${pad(shifted.getUTCHours())}:${pad(shifted.getUTCMinutes())}:${pad(shifted.getUTCSeconds())}+05:30`
+  );
+}
+
+function parseTime(text, tokens) {
+  let hour = null;
+  let minute = 0;
+  let meridiem = null;
+
+  const clock = text.match(/\b(\d{1,2})(?::|\.)(\d{2})\s*(am|pm|a\.m\.|p\.m\.)?/);
+  const bare = text.match(/\b(\d{1,2})\s*(am|pm|a\.m\.|p\.m\.)/);
+
+  if (clock) {
+    hour = Number(clock[1]);
+    minute = Number(clock[2]);
+    meridiem = clock[3]?.[0] || null;
+  } else if (bare) {
+    hour = Number(bare[1]);
+    meridiem = bare[2][0];
+  } else {
+    const index = tokens.findIndex((token) => HOUR_MARKERS.has(token));
+    if (index > 0) {
+      const word = tokens[index - 1];
+      hour = /^\d{1,2}$/.test(word) ? Number(word) : HOUR_WORDS[word] ?? null;
+    }
+  }
+
+  const part = tokens.map((token) => DAY_PARTS[token]).find(Boolean);
+
+  if (hour === null) {
+    return part ? { hour: part.hour, minute: 0 } : null;
+  }
+  if (hour > 23 || minute > 59) return { error: "Time of day is out of range" };
+
+  if (meridiem === "p" && hour < 12) hour += 12;
+  else if (meridiem === "a" && hour === 12) hour = 0;
+  else if (!meridiem && hour < 12) {
+    // "shaam 4 baje" is 16:00; with no hint, 1–7 o'clock is a working-hours afternoon
+    if (part?.pm || (!part && hour <= 7)) hour += 12;
+  }
+
+  return { hour, minute };
+}
+
+function parseDay(text, tokens, today) {
+  // 2026-01-20 (optionally with a time; handled by the caller)
+  const iso = text.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (iso) return { year: Number(iso[1]), month: Number(iso[2]) - 1, day: Number(iso[3]) };
+
+  // 20/01/2026 or 20-1-26, day first as written in India
+  const numeric = text.match(/\b(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2,4}))?\b/);
+  if (numeric) {
+    const year = numeric[3] ? Number(numeric[3].length === 2 ? `20${numeric[3]}` : numeric[3]) : null;
+    return { year, month: Number(numeric[2]) - 1, day: Number(numeric[1]), rollYear: !year };
+  }
+
+  // "20 January", "January 20", "20 जनवरी 2026"
+  const monthIndex = tokens.findIndex((token) => MONTHS[token] !== undefined);
+  if (monthIndex !== -1) {
+    const near = [tokens[monthIndex - 1], tokens[monthIndex + 1]].find((token) => /^\d{1,2}$/.test(token || ""));
+    const yearToken = tokens.find((token) => /^\d{4}$/.test(token));
+    if (near) {
+      return {
+        year: yearToken ? Number(yearToken) : null,
+        month: MONTHS[tokens[monthIndex]],
+        day: Number(near),
+        rollYear: !yearToken,
+      };
+    }
+  }
+
+  for (const [phrase, offset] of RELATIVE_PHRASES) {
+    if (tokens.some((_, i) => phrase.every((word, j) => tokens[i + j] === word))) {
+      return { ...today, day: today.day + offset, relative: true };
+    }
+  }
+
+  const relative = tokens.map((token) => RELATIVE_DAYS[token]).find((value) => value !== undefined);
+  if (relative !== undefined) return { ...today, day: today.day + relative, relative: true };
+
+  const weekday = tokens.map((token) => WEEKDAYS[token]).find((value) => value !== undefined);
+  if (weekday !== undefined) {
+    const ahead = (weekday - today.weekday + 7) % 7 || 7;
+    return { ...today, day: today.day + ahead, relative: true };
+  }
+
+  return null;
+}
+
+// Parses a visit date such as "kal subah", "परसों शाम 4 बजे", "next monday
+// 11am", "20 January" or "2026-01-20T10:00:00Z" into
+// { value: "<ISO in +05:30>", error: null }, or { value: null, error }.
+// Relative words are resolved against `now` in IST; dates without a time get
+// 10:00, or the start of the part of day that was mentioned. Today without a
+// time, once 10:00 has gone, gets the next whole hour up to 18:00, and
+// after that 10:00 tomorrow.
+function parseSpokenDate(spoken, { now = new Date(), allowPast = false } = {}) {
+  if (spoken == null || !String(spoken).trim()) {
+    return { value: null, error: "Date is missing" };
+  }
+
+  const raw = String(spoken).trim();
+
+  // full timestamps with an explicit zone are taken as-is
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(raw)) {
+    const date = new Date(raw);
+    if (Number.isNaN(date.getTime())) return { value: null, error: `Invalid date "${raw}"` };
+    if (!allowPast && date < now) return { value: null, error: `Date "${raw}" is in the past` };
+    return { value: toIstIso(date), error: null };
+  }
+
+  const text = toAsciiDigits(raw.normalize("NFC").toLowerCase());
+  const tokens = tokenize(text);
+  const today = istParts(now);
+
+  const day = parseDay(text, tokens, today);
+  if (!day) {
+    return { value: null, error: `Could not understand the date "${raw}"` };
+  }
+
+  // strip the date so "20-01" is not also read as a time
+  const timeText = text
+    .replace(/\b\d{4}-\d{1,2}-\d{1,2}t?/, " ")
+    .replace(/\b\d{1,2}[/-]\d{1,2}(?:[/-]\d{2,4})?\b/, " ");
+  const spokenTime = parseTime(timeText, tokens);
+  if (spokenTime?.error) return { value: null, error: spokenTime.error };
+  const time = spokenTime || { hour: DEFAULT_HOUR, minute: 0 };
+
+  const year = day.year ?? today.year;
+  let date = fromIst(year, day.month, day.day, time.hour, time.minute);
+
+  // relative days may run past month end; explicit ones must exist
+  if (!day.relative) {
+    const check = istParts(date);
+    if (check.month !== day.month || check.day !== day.day) {
+      return { value: null, error: `Invalid calendar date "${raw}"` };
+    }
+  }
+
+  // "20 January" said in February means next year
+  if (day.rollYear && date < now) {
+    date = fromIst(year + 1, day.month, day.day, time.hour, time.minute);
+  }
+
+  // "aaj" with no time, said after 10:00: the next slot today, or tomorrow
+  if (!spokenTime && date < now && sameIstDay(date, now)) {
+    date = nextSlot(now);
+  }
+
+  if (!allowPast && date < now) {
+    return { value: null, error: `Date "${raw}" is in the past` };
+  }
+
+  return { value: toIstIso(date), error: null };
+}
+
+function sameIstDay(a, b) {
+  const [x, y] = [istParts(a), istParts(b)];
+  return x.year === y.year && x.month === y.month && x.day === y.day;
+}
+
+// the next whole hour after `now`, within visiting hours
+function nextSlot(now) {
+  const shifted = new Date(now.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  const hour = shifted.getUTCHours() + 1;
+  const today = istParts(now);
+  return hour <= LAST_SLOT_HOUR
+    ? fromIst(today.year, today.month, today.day, hour, 0)
+    : fromIst(today.year, today.month, today.day + 1, DEFAULT_HOUR, 0);
+}
+
+module.exports = parseSpokenDate;
+module.exports.toIstIso = toIstIso;
@@ -1,120 +1,246 @@
-const { transliterate } = require('transliteration');
+const { transliterate } = require("transliteration");
+const {
+  DIGIT_WORDS,
+  REPEAT_WORDS,
+  tokenize,
+  matchPhrase,
+  compilePhrases,
+} = require("./spokenTokens");
+const { config } = require("./config");
+
+const EMAIL_PATTERN = /^[a-z0-9](?:[a-z0-9._%+-]*[a-z0-9])?@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}$/;
+
+// below this the address should be read back to the customer before use
+const CONFIDENCE_THRESHOLD = config.EMAIL_CONFIDENCE_THRESHOLD;
+
+const MAX_CANDIDATES = 5;
+const MAX_COMBINATIONS = 16;
+
+// Spoken connectors, mail providers and TLDs as the agent and callers say
+// them in English and Hindi (see SECTION 0.2 of the AI script).
+const PHRASES = compilePhrases({
+  "at the rate of": "@", "at the rate": "@", "at d rate": "@", "at rate": "@", at: "@", "@": "@",
+  "ऐट द रेट": "@", "एट द रेट": "@", "ऐट दी रेट": "@", "एट दी रेट": "@", "ऐट": "@", "एट": "@", "ऍट": "@",
+  dot: ".", point: ".", ".": ".", "डॉट": ".", "डोट": ".", "डाट": ".",
+  dotcom: ".com", "डॉटकॉम": ".com",
+  underscore: "_", "under score": "_", _: "_", "अंडरस्कोर": "_", "अंडर स्कोर": "_",
+  dash: "-", hyphen: "-", "-": "-", "डैश": "-", "हाइफ़न": "-", "हाइफन": "-",
+  "g mail": "gmail", "जीमेल": "gmail", "जी मेल": "gmail",
+  "याहू": "yahoo", "हॉटमेल": "hotmail", "हॉट मेल": "hotmail", "आउटलुक": "outlook", "आउट लुक": "outlook",
+  "रेडिफमेल": "rediffmail", "रेडिफ मेल": "rediffmail", "आईक्लाउड": "icloud",
+  "कॉम": "com", "कोम": "com", "इन": "in", "को": "co", "नेट": "net", "ऑर्ग": "org",
+  // letters spelled out in Hindi
+  "ए": "a", "बी": "b", "सी": "c", "डी": "d", "ई": "e", "एफ": "f", "जी": "g", "एच": "h",
+  "आई": "i", "जे": "j", "के": "k", "एल": "l", "एम": "m", "एन": "n", "ओ": "o", "पी": "p",
+  "क्यू": "q", "आर": "r", "एस": "s", "टी": "t", "यू": "u", "वी": "v", "डब्ल्यू": "w",
+  "एक्स": "x", "वाई": "y", "ज़ेड": "z", "जेड": "z",
+  ...DIGIT_WORDS,
+});
+
+// words that carry no characters ("capital A" is still "a" in an address)
+const SILENT_WORDS = new Set([
+  "capital", "small", "space", "letter", "कैपिटल", "स्मॉल", "स्पेस", "लेटर",
+]);
+
+const REPEATS = compilePhrases(REPEAT_WORDS);
+
+const KNOWN_DOMAINS = [
+  "gmail.com", "yahoo.com", "yahoo.co.in", "yahoo.in", "ymail.com", "hotmail.com",
+  "outlook.com", "live.com", "rediffmail.com", "icloud.com", "mail.com",
+];
+const KNOWN_PROVIDERS = [...new Set(KNOWN_DOMAINS.map((domain) => domain.split(".")[0]))];
+const COMMON_TLDS = ["com", "in", "co", "net", "org", "edu", "gov", "info", "io", "biz", "ac", "me", "us", "uk"];
+
+const PENALTY = {
+  transliterated: 0.35, // a Hindi word spelled out by transliteration
+  alternative: 0.05, // a less likely transliteration of that word
+  domainCorrected: 0.15,
+  inferredAt: 0.2,
+  appendedTld: 0.1,
+};
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps, so
+// "gmial" is one edit from "gmail").
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
 
-function spokenToEmail(spoken) {
-  if (!spoken) return '';
-
-  let text = spoken.toLowerCase().trim();
-
-  const replacements = {
-    ' at the rate ': '@',
-    ' at ': '@',
-    ' dot ': '.',
-    ' underscore ': '_',
-    ' dash ': '-',
-    ' hyphen ': '-',
-    ' space ': '',
-    ' gmail ': 'gmail',
-    ' yahoo ': 'yahoo',
-    ' hotmail ': 'hotmail',
-    ' outlook ': 'outlook',
-  };
-
-  for (const [key, val] of Object.entries(replacements)) {
-    text = text.replaceAll(key, val);
+  return d[a.length][b.length];
+}
+
+// Latin spellings for a Devanagari word, most likely first
+function transliterations(word) {
+  // the library marks nasalisation and aspiration with capitals ("koNm")
+  const base = transliterate(word)
+    .replace(/[A-Z]/g, "")
+    .replace(/[^a-z0-9]/g, "")
+    .replace(/dd/g, "d")
+    .replace(/tt/g, "t");
+  const collapsed = base.replace(/([aeiou])\1+/g, "$1");
+
+  return [...new Set([collapsed, base])].filter(Boolean);
+}
+
+// Turns tokens into pieces: { options: [text, ...], uncertain }
+function toPieces(tokens) {
+  const pieces = [];
+
+  for (let i = 0; i < tokens.length; ) {
+    const token = tokens[i];
+
+    if (SILENT_WORDS.has(token)) {
+      i += 1;
+      continue;
+    }
+
+    const repeat = matchPhrase(tokens, i, REPEATS);
+    if (repeat) {
+      const [next] = toPieces(tokens.slice(i + repeat.length, i + repeat.length + 1));
+      if (next) {
+        pieces.push({ ...next, options: next.options.map((text) => text.repeat(repeat.value)) });
+      }
+      i += repeat.length + 1;
+      continue;
+    }
+
+    const phrase = matchPhrase(tokens, i, PHRASES);
+    if (phrase) {
+      pieces.push({ options: [phrase.value], uncertain: false });
+      i += phrase.length;
+      continue;
+    }
+
+    if (/^[a-z0-9]+$/.test(token)) {
+      pieces.push({ options: [token], uncertain: false });
+    } else if (/\p{Script=Devanagari}/u.test(token)) {
+      pieces.push({ options: transliterations(token), uncertain: true });
+    } else {
+      const ascii = transliterate(token).toLowerCase().replace(/[^a-z0-9]/g, "");
+      if (ascii) pieces.push({ options: [ascii], uncertain: true });
+    }
+    i += 1;
+  }
+
+  return pieces;
+}
+
+// Every combination of piece options (capped), with its penalty
+function combine(pieces) {
+  let combos = [{ text: "", penalty: 0 }];
+
+  for (const piece of pieces) {
+    const next = [];
+    piece.options.forEach((option, index) => {
+      const penalty = (piece.uncertain ? PENALTY.transliterated : 0) + (index > 0 ? PENALTY.alternative : 0);
+      combos.forEach((combo) => next.push({ text: combo.text + option, penalty: combo.penalty + penalty }));
+    });
+    combos = next.slice(0, MAX_COMBINATIONS);
   }
 
-  text = transliterate(text);
+  return combos;
+}
+
+// Repairs the assembled string into address candidates: puts back a missing
+// "@", appends a missing TLD and snaps near-miss domains to known providers.
+function repair(raw, penalty) {
+  let text = raw.replace(/\.{2,}/g, ".").replace(/^[._-]+|[._-]+$/g, "");
+  const results = [];
+
+  if (!text.includes("@")) {
+    // the provider mentioned last; "gmail" beats the "mail" inside it
+    const provider = KNOWN_PROVIDERS.map((name) => ({ name, index: text.lastIndexOf(name) }))
+      .filter(({ index }) => index > 0)
+      .sort((a, b) => b.index + b.name.length - (a.index + a.name.length) || b.name.length - a.name.length)[0];
+    if (!provider) return [{ email: text, penalty: 1 }];
+
+    text = `${text.slice(0, provider.index)}@${text.slice(provider.index)}`;
+    penalty += PENALTY.inferredAt;
+  }
 
-  text = text
-    .replace(/aa/g, 'a')
-    .replace(/ee/g, 'e')
-    .replace(/ii/g, 'i')
-    .replace(/oo/g, 'o')
-    .replace(/uu/g, 'u');
+  const at = text.lastIndexOf("@");
+  const local = text.slice(0, at).replace(/@/g, "");
+  let domain = text.slice(at + 1).replace(/^\.+/, "");
 
-  const numberMap = {
-    zero: '0', one: '1', two: '2', three: '3', four: '4',
-    five: '5', six: '6', seven: '7', eight: '8', nine: '9',
-  };
+  if (!domain.includes(".") && KNOWN_PROVIDERS.some((name) => editDistance(domain, name) <= 1)) {
+    domain += ".com";
+    penalty += PENALTY.appendedTld;
+  }
 
-  Object.entries(numberMap).forEach(([word, digit]) => {
-    const regex = new RegExp(`\\b${word}\\b`, 'g');
-    text = text.replace(regex, digit);
-  });
+  if (KNOWN_DOMAINS.includes(domain)) {
+    return [{ email: `${local}@${domain}`, penalty }];
+  }
 
-  text = text.replace(/\s+/g, '');
-  text = text.replace(/thre/g, '3');
+  // "hindalco dot con" → ".com" for domains we do not know
+  const tld = domain.slice(domain.lastIndexOf(".") + 1);
+  if (domain.includes(".") && !COMMON_TLDS.includes(tld) && editDistance(tld, "com") <= 1) {
+    domain = `${domain.slice(0, domain.lastIndexOf("."))}.com`;
+    penalty += PENALTY.domainCorrected;
+  }
 
-  return text;
+  const nearest = KNOWN_DOMAINS.map((known) => ({ known, distance: editDistance(domain, known) }))
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  if (nearest.distance <= 2) {
+    results.push({ email: `${local}@${nearest.known}`, penalty: penalty + PENALTY.domainCorrected });
+    results.push({ email: `${local}@${domain}`, penalty: penalty + 0.4 });
+  } else {
+    results.push({ email: `${local}@${domain}`, penalty });
+  }
+
+  return results;
 }
 
-module.exports = spokenToEmail;
+// Parses what the caller said into { email, confidence, valid, candidates }.
+// `candidates` are distinct addresses ranked by confidence (0-1), so a caller
+// can ask the customer to confirm when the best one is not convincing.
+function parseSpokenEmail(spoken) {
+  const empty = { email: "", confidence: 0, valid: false, candidates: [] };
+  if (!spoken || !String(spoken).trim()) return empty;
+
+  const pieces = toPieces(tokenize(spoken, { keep: "@._-" }));
+  const scored = new Map();
+
+  for (const combo of combine(pieces)) {
+    for (const { email, penalty } of repair(combo.text, combo.penalty)) {
+      const valid = EMAIL_PATTERN.test(email);
+      const confidence = valid ? Math.max(0, Math.min(1, 1 - penalty)) : 0;
+      const existing = scored.get(email);
+      if (!existing || existing.confidence < confidence) {
+        scored.set(email, { email, confidence: Number(confidence.toFixed(2)), valid });
+      }
+    }
+  }
+
+  const candidates = [...scored.values()]
+    .sort((a, b) => b.confidence - a.confidence || Number(b.valid) - Number(a.valid))
+    .slice(0, MAX_CANDIDATES);
 
-// const { transliterate } = require('transliteration');
-
-// function spokenToEmail(spoken) {
-//   if (!spoken) return '';
-
-//   // Step 1: Normalize case
-//   let text = spoken.toLowerCase().trim();
-
-//   // Step 2: Replace spoken connectors
-//   const replacements = {
-//     ' at the rate ': '@',
-//     ' at ': '@',
-//     ' dot ': '.',
-//     ' underscore ': '_',
-//     ' dash ': '-',
-//     ' hyphen ': '-',
-//     ' space ': '',
-//     ' gmail ': 'gmail',
-//     ' yahoo ': 'yahoo',
-//     ' hotmail ': 'hotmail',
-//     ' outlook ': 'outlook',
-//   };
-
-//   for (const [key, val] of Object.entries(replacements)) {
-//     text = text.replaceAll(key, val);
-//   }
-
-//   // Step 3: Transliterate Hindi to English
-//   text = transliterate(text);
-
-//   // Step 4: Fix double vowels (normalize transliteration)
-//   text = text
-//     .replace(/aa/g, 'a')
-//     .replace(/ee/g, 'e')
-//     .replace(/ii/g, 'i')
-//     .replace(/oo/g, 'o')
-//     .replace(/uu/g, 'u');
-
-//   // Step 5: Convert spoken numbers (English)
-//   const numberMap = {
-//     zero: '0',
-//     one: '1',
-//     two: '2',
-//     three: '3',
-//     four: '4',
-//     five: '5',
-//     six: '6',
-//     seven: '7',
-//     eight: '8',
-//     nine: '9',
-//   };
-
-//   Object.entries(numberMap).forEach(([word, digit]) => {
-//     // Replace word even if it's attached to others (like "nine three")
-//     const regex = new RegExp(`\\b${word}\\b`, 'g');
-//     text = text.replace(regex, digit);
-//   });
-
-//   // Step 6: Remove all spaces
-//   text = text.replace(/\s+/g, '');
-
-//   // Step 7: Fix partial replacements like "thre" (caused by transliteration)
-//   text = text.replace(/thre/g, '3');
-
-//   return text;
-// }
-
-// module.exports = spokenToEmail;
+  if (!candidates.length) return empty;
+
+  const [best] = candidates;
+  return { email: best.email, confidence: best.confidence, valid: best.valid, candidates };
+}
+
+function isConfidentEmail(result) {
+  return result.valid && result.confidence >= CONFIDENCE_THRESHOLD;
+}
+
+// Best-guess address only, for callers that do not need the candidates
+function spokenToEmail(spoken) {
+  return parseSpokenEmail(spoken).email;
+}
+
+module.exports = spokenToEmail;
+module.exports.parseSpokenEmail = parseSpokenEmail;
+module.exports.isConfidentEmail = isConfidentEmail;
+module.exports.CONFIDENCE_THRESHOLD = CONFIDENCE_THRESHOLD;
@@ -0,0 +1,36 @@
+const { spokenToDigits } = require("./spokenTokens");
+
+// Turns a spoken or typed Indian mobile number ("नौ पाँच सात…", "+91 98765
+// 43210", "double nine…") into { value: "9876543210", error: null }, or
+// { value: null, error } when it is not a valid 10-digit mobile.
+function parseSpokenPhone(spoken) {
+  if (spoken == null || !String(spoken).trim()) {
+    return { value: null, error: "Mobile number is missing" };
+  }
+
+  let { digits, ignored } = spokenToDigits(String(spoken));
+  if (!digits) {
+    return { value: null, error: `No digits found in mobile number "${spoken}"` };
+  }
+
+  // country code / trunk prefix
+  if (digits.length === 14 && digits.startsWith("0091")) digits = digits.slice(4);
+  else if (digits.length === 12 && digits.startsWith("91")) digits = digits.slice(2);
+  else if (digits.length === 11 && digits.startsWith("0")) digits = digits.slice(1);
+
+  if (digits.length !== 10) {
+    const unheard = ignored.length ? ` (could not read: ${ignored.join(", ")})` : "";
+    return {
+      value: null,
+      error: `Mobile number has ${digits.length} digits, expected 10${unheard}`,
+    };
+  }
+
+  if (!/^[6-9]/.test(digits)) {
+    return { value: null, error: "Mobile number must start with 6, 7, 8 or 9" };
+  }
+
+  return { value: digits, error: null };
+}
+
+module.exports = parseSpokenPhone;
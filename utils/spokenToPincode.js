@@ -0,0 +1,24 @@
+const { spokenToDigits } = require("./spokenTokens");
+
+// Turns a spoken or typed PIN code ("तीन शून्य दो शून्य एक नौ") into
+// { value: "302019", error: null }, or { value: null, error }.
+function parseSpokenPincode(spoken) {
+  if (spoken == null || !String(spoken).trim()) {
+    return { value: null, error: "Pincode is missing" };
+  }
+
+  const { digits, ignored } = spokenToDigits(String(spoken));
+
+  if (digits.length !== 6) {
+    const unheard = ignored.length ? ` (could not read: ${ignored.join(", ")})` : "";
+    return { value: null, error: `Pincode has ${digits.length} digits, expected 6${unheard}` };
+  }
+
+  if (digits.startsWith("0")) {
+    return { value: null, error: "Pincode cannot start with 0" };
+  }
+
+  return { value: digits, error: null };
+}
+
+module.exports = parseSpokenPincode;
@@ -0,0 +1,105 @@
+// Shared vocabulary for turning what the voice agent heard into characters.
+
+const DIGIT_WORDS = {
+  // English
+  zero: "0", one: "1", two: "2", three: "3", four: "4",
+  five: "5", six: "6", seven: "7", eight: "8", nine: "9",
+  // Hindi (Devanagari), with the spellings speech-to-text commonly produces
+  "शून्य": "0", "सुन्न": "0", "ज़ीरो": "0", "जीरो": "0",
+  "एक": "1", "दो": "2", "तीन": "3", "चार": "4",
+  "पाँच": "5", "पांच": "5", "पॉंच": "5",
+  "छह": "6", "छः": "6", "छे": "6", "छै": "6",
+  "सात": "7", "आठ": "8", "नौ": "9",
+};
+
+// Romanised Hindi digits clash with English words ("do", "teen", "char"),
+// so callers opt in where only digits are expected (phones, pincodes).
+const ROMAN_HINDI_DIGIT_WORDS = {
+  shunya: "0", shoonya: "0", ek: "1", do: "2", teen: "3", char: "4", chaar: "4",
+  panch: "5", paanch: "5", chhe: "6", chhah: "6", che: "6", saat: "7", sat: "7",
+  aath: "8", ath: "8", nau: "9", no: "9",
+};
+
+const REPEAT_WORDS = {
+  double: 2, "डबल": 2, dabal: 2,
+  triple: 3, "ट्रिपल": 3, tripal: 3,
+};
+
+const DEVANAGARI_DIGITS = "०१२३४५६७८९";
+
+function toAsciiDigits(text) {
+  return text.replace(/[०-९]/g, (ch) => String(DEVANAGARI_DIGITS.indexOf(ch)));
+}
+
+// Lowercases, folds Devanagari numerals and splits into word tokens. Symbols
+// in `keep` (e.g. "@", ".") become tokens of their own; other punctuation,
+// including the danda, separates words.
+function tokenize(text, { keep = "" } = {}) {
+  if (!text) return [];
+
+  const kept = keep.replace(/[\\\]^-]/g, "\\$&");
+  const normalized = toAsciiDigits(String(text).normalize("NFC").toLowerCase());
+  const pattern = new RegExp(`[\\p{L}\\p{M}\\p{N}]+${kept ? `|[${kept}]` : ""}`, "gu");
+
+  return normalized.match(pattern) || [];
+}
+
+// Longest-match lookup of multi-word phrases. `phrases` maps a phrase string
+// to a value; returns { value, length } or null.
+function matchPhrase(tokens, index, phrases) {
+  let best = null;
+
+  for (const [phrase, value] of phrases) {
+    const words = phrase.split(" ");
+    if (best && words.length <= best.length) continue;
+    if (words.every((word, offset) => tokens[index + offset] === word)) {
+      best = { value, length: words.length };
+    }
+  }
+
+  return best;
+}
+
+function compilePhrases(map) {
+  return Object.entries(map).sort((a, b) => b[0].split(" ").length - a[0].split(" ").length);
+}
+
+// Reads a digit-by-digit utterance ("nau paanch double seven 4…") into a
+// digit string. Words that are not digits are returned in `ignored`.
+function spokenToDigits(text, { romanHindi = true } = {}) {
+  const tokens = tokenize(text);
+  const words = romanHindi ? { ...DIGIT_WORDS, ...ROMAN_HINDI_DIGIT_WORDS } : DIGIT_WORDS;
+  const ignored = [];
+  let digits = "";
+  let repeat = 1;
+
+  for (const token of tokens) {
+    if (REPEAT_WORDS[token]) {
+      repeat = REPEAT_WORDS[token];
+      continue;
+    }
+
+    const value = /^\d+$/.test(token) ? token : words[token];
+    if (value === undefined) {
+      ignored.push(token);
+      continue;
+    }
+
+    // "double 7" repeats a single digit; "double 77" is already spelled out
+    digits += value.length === 1 ? value.repeat(repeat) : value;
+    repeat = 1;
+  }
+
+  return { digits, ignored };
+}
+
+module.exports = {
+  DIGIT_WORDS,
+  ROMAN_HINDI_DIGIT_WORDS,
+  REPEAT_WORDS,
+  toAsciiDigits,
+  tokenize,
+  matchPhrase,
+  compilePhrases,
+  spokenToDigits,
+};
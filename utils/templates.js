@@ -0,0 +1,135 @@
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_LANGUAGE } = require("./language");
+
+const TEMPLATES_DIR = path.join(__dirname, "..", "templates");
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => HTML_ESCAPES[ch]);
+}
+
+function lookup(data, key) {
+  return key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), data);
+}
+
+// {{ name }} is HTML-escaped, {{{ name }}} is inserted as-is.
+function interpolate(source, data, { escape = true } = {}) {
+  return source.replace(/\{\{(\{?)\s*([\w.]+)\s*\}?\}\}/g, (match, raw, key) => {
+    const value = lookup(data, key);
+    if (value == null) return "";
+    return raw || !escape ? String(value) : escapeHtml(value);
+  });
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+function htmlToText(html) {
+  // source whitespace is insignificant in HTML; line breaks come from tags
+  const text = html
+    .replace(/\s+/g, " ")
+    .replace(/<(style|script)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<a\b[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const cleanLabel = label.replace(/<[^>]+>/g, "").trim();
+      return href && href !== cleanLabel ? `${cleanLabel} (${href})` : cleanLabel;
+    })
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<hr\b[^>]*>/gi, "\n----------\n")
+    .replace(/<\/(p|div|h[1-6]|li|tr)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function templateDir(name) {
+  if (!NAME_PATTERN.test(name)) return null;
+  const dir = path.join(TEMPLATES_DIR, name);
+  return fs.existsSync(path.join(dir, "body.html")) ? dir : null;
+}
+
+function hasTemplate(name) {
+  return templateDir(name) !== null;
+}
+
+function listTemplates() {
+  return fs
+    .readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && hasTemplate(entry.name))
+    .map((entry) => entry.name);
+}
+
+function readOptional(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+}
+
+function loadSample(name) {
+  const dir = templateDir(name);
+  const sample = dir && readOptional(path.join(dir, "sample.json"));
+  return sample ? JSON.parse(sample) : {};
+}
+
+// Picks "<base>.<language>.<ext>" when it exists, else the default "<base>.<ext>".
+function localizedFile(dir, base, ext, language) {
+  if (language) {
+    const localized = path.join(dir, `${base}.${language}.${ext}`);
+    if (fs.existsSync(localized)) return localized;
+  }
+  return path.join(dir, `${base}.${ext}`);
+}
+
+// Renders templates/<name>/ into { subject, html, text, language }.
+// Files are read on every call so edits show up without a restart. Any file
+// missing a translation for `language` falls back to the English default.
+function render(name, data = {}, { language } = {}) {
+  const dir = templateDir(name);
+  if (!dir) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  const htmlFile = localizedFile(dir, "body", "html", language);
+  const subjectSource = readOptional(localizedFile(dir, "subject", "txt", language)) || "";
+  const htmlSource = fs.readFileSync(htmlFile, "utf8");
+  const textSource = readOptional(localizedFile(dir, "body", "txt", language));
+
+  const html = interpolate(htmlSource, data);
+  const text = textSource
+    ? interpolate(textSource, data, { escape: false }).trim()
+    : htmlToText(html);
+  const subject = interpolate(subjectSource, data, { escape: false })
+    .replace(/\s+/g, " ")
+    .trim();
+  const renderedLanguage =
+    language && htmlFile.endsWith(`.${language}.html`) ? language : DEFAULT_LANGUAGE;
+
+  return { subject, html, text, language: renderedLanguage };
+}
+
+module.exports = {
+  render,
+  hasTemplate,
+  listTemplates,
+  loadSample,
+  escapeHtml,
+  htmlToText,
+};
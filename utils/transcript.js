@@ -0,0 +1,29 @@
+// Bolna transcripts label each turn ("assistant: …" / "user: …").
+const SPEAKER = /^\s*(assistant|agent|bot|ai|user|customer|caller|human)\s*:/i;
+const CUSTOMER_SPEAKERS = ["user", "customer", "caller", "human"];
+
+const isLabelled = (text) => String(text || "").split(/\r?\n/).some((line) => SPEAKER.test(line));
+
+// The customer's side of a labelled transcript; unlabelled text is kept
+// whole. Lines without a label continue the turn above them. The agent's
+// script says "शिकायत" and "senior" itself, so anything judging the
+// customer should read only this.
+function customerTurns(text) {
+  if (!isLabelled(text)) return text || "";
+
+  let customer = false;
+  return String(text)
+    .split(/\r?\n/)
+    .filter((line) => {
+      const speaker = line.match(SPEAKER)?.[1].toLowerCase();
+      if (speaker) customer = CUSTOMER_SPEAKERS.includes(speaker);
+      return customer;
+    })
+    .map((line) => line.replace(SPEAKER, ""))
+    .join("\n");
+}
+
+module.exports = {
+  isLabelled,
+  customerTurns,
+};
@@ -0,0 +1,27 @@
+const SibApiV3Sdk = require("sib-api-v3-sdk");
+const { config } = require("../config");
+
+function createBrevoTransport() {
+  const client = SibApiV3Sdk.ApiClient.instance;
+  client.authentications["api-key"].apiKey = config.BREVO_API_KEY;
+  if (config.BREVO_API_URL) client.basePath = config.BREVO_API_URL;
+
+  const tranEmailApi = new SibApiV3Sdk.TransactionalEmailsApi();
+
+  return {
+    name: "brevo",
+    async send({ from, to, subject, html, text }) {
+      const response = await tranEmailApi.sendTransacEmail({
+        sender: from,
+        to: [{ email: to }],
+        subject,
+        htmlContent: html,
+        textContent: text,
+      });
+
+      return { messageId: response.messageId };
+    },
+  };
+}
+
+module.exports = createBrevoTransport;
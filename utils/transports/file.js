@@ -0,0 +1,37 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { DATA_DIR } = require("../jsonStore");
+const { config } = require("../config");
+
+// Writes each message as an .eml file instead of sending it, for local
+// development and tests.
+function createFileTransport() {
+  const outDir = config.MAIL_FILE_DIR || path.join(DATA_DIR, "outbox");
+  const composer = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: "unix",
+  });
+
+  return {
+    name: "file",
+    async send({ from, to, subject, html, text }) {
+      const info = await composer.sendMail({
+        from: { name: from.name, address: from.email },
+        to,
+        subject,
+        html,
+        text,
+      });
+
+      const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.eml`;
+      fs.mkdirSync(outDir, { recursive: true });
+      fs.writeFileSync(path.join(outDir, fileName), info.message);
+
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+module.exports = createFileTransport;
@@ -0,0 +1,26 @@
+const factories = {
+  brevo: require("./brevo"),
+  smtp: require("./smtp"),
+  resend: require("./resend"),
+  file: require("./file"),
+};
+
+const instances = new Map();
+
+// Transports are created on first use so an unused provider never needs
+// its credentials configured.
+function getTransport(name) {
+  if (!factories[name]) {
+    throw new Error(`Unknown mail transport "${name}" (expected one of ${Object.keys(factories).join(", ")})`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  return instances.get(name);
+}
+
+module.exports = {
+  getTransport,
+};
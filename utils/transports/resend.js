@@ -0,0 +1,30 @@
+const { Resend } = require("resend");
+const { config } = require("../config");
+
+function createResendTransport() {
+  const resend = new Resend(config.RESEND_API_KEY);
+
+  return {
+    name: "resend",
+    async send({ from, to, subject, html, text }) {
+      // the SDK reports API failures in `error` instead of throwing
+      const { data, error } = await resend.emails.send({
+        from: `${from.name} <${from.email}>`,
+        to: [to],
+        subject,
+        html,
+        text,
+      });
+
+      if (error) {
+        const err = new Error(error.message);
+        err.code = error.name;
+        throw err;
+      }
+
+      return { messageId: data.id };
+    },
+  };
+}
+
+module.exports = createResendTransport;
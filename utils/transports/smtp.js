@@ -0,0 +1,30 @@
+const nodemailer = require("nodemailer");
+const { config } = require("../config");
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: config.SMTP_HOST,
+    port: config.SMTP_PORT,
+    secure: config.SMTP_SECURE,
+    auth: config.SMTP_USER
+      ? { user: config.SMTP_USER, pass: config.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send({ from, to, subject, html, text }) {
+      const info = await transporter.sendMail({
+        from: { name: from.name, address: from.email },
+        to,
+        subject,
+        html,
+        text,
+      });
+
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const { getCallId } = require("./bolnaPayload");
+const { config } = require("./config");
+const log = require("./logger").child({ module: "verifyWebhook" });
+
+const DEFAULT_SIGNATURE_HEADER = "x-webhook-signature";
+const DEFAULT_TIMESTAMP_HEADER = "x-webhook-timestamp";
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const DEFAULT_REPLAY_WINDOW_SECONDS = 600;
+
+function toSeconds(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+// Signature = hex(HMAC-SHA256(secret, "<timestamp>.<raw body>")), or of the
+// raw body alone for providers that do not send a timestamp.
+function signPayload(rawBody, secret, timestamp) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(timestamp == null ? rawBody : `${timestamp}.${rawBody}`)
+    .digest("hex");
+}
+
+// Constant-time string comparison for secrets; also used by the admin guard.
+function safeEqual(a, b) {
+  const left = Buffer.from(a, "utf8");
+  const right = Buffer.from(b, "utf8");
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function reject(res, code, message) {
+  return res.status(401).json({ success: false, code, error: message });
+}
+
+// Pass `timestampHeader: false` for providers (e.g. Meta) that sign only the
+// body; timestamp and replay checks are skipped in that mode.
+function verifyWebhook(options = {}) {
+  const secret = options.secret ?? config.WEBHOOK_SECRET;
+  const signatureHeader = options.signatureHeader || DEFAULT_SIGNATURE_HEADER;
+  const timestampHeader =
+    options.timestampHeader === false ? null : options.timestampHeader || DEFAULT_TIMESTAMP_HEADER;
+  const toleranceSeconds = toSeconds(
+    options.toleranceSeconds ?? config.WEBHOOK_TOLERANCE_SECONDS,
+    DEFAULT_TOLERANCE_SECONDS
+  );
+  const replayWindowSeconds = toSeconds(
+    options.replayWindowSeconds ?? config.WEBHOOK_REPLAY_WINDOW_SECONDS,
+    DEFAULT_REPLAY_WINDOW_SECONDS
+  );
+
+  // replay key -> expiry (ms); insertion order matches expiry order
+  const seen = new Map();
+
+  function pruneSeen(now) {
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt > now) break;
+      seen.delete(key);
+    }
+  }
+
+  return function webhookGuard(req, res, next) {
+    if (!secret) {
+      log.error("Webhook secret is not configured, rejecting webhook", { path: req.baseUrl });
+      return res.status(500).json({
+        success: false,
+        code: "WEBHOOK_SECRET_NOT_CONFIGURED",
+        error: "Webhook verification is not configured",
+      });
+    }
+
+    const signature = (req.get(signatureHeader) || "").replace(/^sha256=/, "");
+    const rawBody = req.rawBody ? req.rawBody.toString("utf8") : "";
+
+    if (!timestampHeader) {
+      if (!signature) {
+        return reject(res, "SIGNATURE_MISSING", "Missing signature header");
+      }
+      if (!safeEqual(signature, signPayload(rawBody, secret))) {
+        return reject(res, "SIGNATURE_INVALID", "Signature does not match payload");
+      }
+      return next();
+    }
+
+    const timestamp = req.get(timestampHeader);
+
+    if (!signature || !timestamp) {
+      return reject(res, "SIGNATURE_MISSING", "Missing signature or timestamp header");
+    }
+
+    if (!/^\d+$/.test(timestamp)) {
+      return reject(res, "TIMESTAMP_INVALID", "Timestamp must be unix seconds");
+    }
+
+    const now = Date.now();
+    if (Math.abs(now / 1000 - Number(timestamp)) > toleranceSeconds) {
+      return reject(res, "TIMESTAMP_STALE", "Timestamp outside the allowed window");
+    }
+
+    const expected = signPayload(rawBody, secret, timestamp);
+
+    if (!safeEqual(signature, expected)) {
+      return reject(res, "SIGNATURE_INVALID", "Signature does not match payload");
+    }
+
+    // Retries and status updates are re-signed with a fresh timestamp, so only
+    // a byte-identical delivery for the same call counts as a replay.
+    pruneSeen(now);
+    const replayKey = `${getCallId(req.body) || "-"}:${signature}`;
+
+    if (seen.has(replayKey)) {
+      return reject(res, "REPLAY_DETECTED", "Webhook call was already received");
+    }
+    seen.set(replayKey, now + replayWindowSeconds * 1000);
+
+    next();
+  };
+}
+
+module.exports = verifyWebhook;
+module.exports.signPayload = signPayload;
+module.exports.safeEqual = safeEqual;
@@ -0,0 +1,167 @@
+const axios = require("axios");
+const { createJsonStore } = require("./jsonStore");
+const { config } = require("./config");
+const logger = require("./logger");
+
+const log = logger.child({ module: "whatsapp" });
+
+const statusStore = createJsonStore("whatsapp-status.json", {});
+
+// Graph API error codes worth retrying (throttling and transient outages).
+// Everything else — bad token, unknown template, undeliverable number,
+// invalid parameters — will fail the same way again.
+const RETRYABLE_CODES = new Set([
+  1, // API unknown
+  2, // API service
+  4, // API too many calls
+  17, // user request limit reached
+  341, // application limit reached
+  80007, // rate limit issues
+  130429, // rate limit hit
+  131000, // something went wrong
+  131016, // service unavailable
+  131048, // spam rate limit hit
+  131056, // pair rate limit hit
+  133004, // server temporarily unavailable
+]);
+
+class WhatsAppError extends Error {
+  constructor(message, { code = null, status = null, retryable = false, details = null } = {}) {
+    super(message);
+    this.name = "WhatsAppError";
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+// Returns the number as +91XXXXXXXXXX, or null when it is not a valid Indian
+// mobile (10 digits starting 6-9, optionally prefixed by +91, 0091, 91 or 0).
+function normalizeIndianMobile(input) {
+  if (input == null) return null;
+
+  let digits = String(input).replace(/[\s\-().]/g, "");
+  if (!/^\+?\d+$/.test(digits)) return null;
+
+  digits = digits.replace(/^\+/, "");
+  if (digits.length === 14 && digits.startsWith("0091")) digits = digits.slice(4);
+  else if (digits.length === 12 && digits.startsWith("91")) digits = digits.slice(2);
+  else if (digits.length === 11 && digits.startsWith("0")) digits = digits.slice(1);
+
+  return /^[6-9]\d{9}$/.test(digits) ? `+91${digits}` : null;
+}
+
+function classifyError(err) {
+  const graphError = err.response?.data?.error;
+  const status = err.response?.status ?? null;
+
+  if (!graphError) {
+    // no Graph error body: network failure, timeout or a 5xx from a proxy
+    const retryable = !status || status >= 500 || status === 429;
+    return new WhatsAppError(err.message, { status, retryable });
+  }
+
+  const code = graphError.code;
+  return new WhatsAppError(graphError.error_data?.details || graphError.message, {
+    code,
+    status,
+    retryable: RETRYABLE_CODES.has(code) || status === 429 || status >= 500,
+    details: graphError,
+  });
+}
+
+function messagesUrl() {
+  const { WHATSAPP_API_URL, WHATSAPP_API_VERSION, WHATSAPP_PHONE_NUMBER_ID } = config;
+  return `${WHATSAPP_API_URL}/${WHATSAPP_API_VERSION}/${WHATSAPP_PHONE_NUMBER_ID}/messages`;
+}
+
+// Sends an approved template. `parameters` fill the body placeholders in
+// order. Resolves to { messageId, to }; rejects with a WhatsAppError.
+async function sendTemplate({ to, template, language = "en", parameters = [], meta = {} }) {
+  const recipient = normalizeIndianMobile(to);
+  if (!recipient) {
+    throw new WhatsAppError(`Invalid Indian mobile number "${to}"`, { code: "INVALID_NUMBER" });
+  }
+
+  const payload = {
+    messaging_product: "whatsapp",
+    to: recipient.slice(1),
+    type: "template",
+    template: {
+      name: template,
+      language: { code: language },
+      components: parameters.length
+        ? [
+            {
+              type: "body",
+              parameters: parameters.map((text) => ({ type: "text", text: String(text) })),
+            },
+          ]
+        : [],
+    },
+  };
+
+  let response;
+  try {
+    response = await axios.post(messagesUrl(), payload, {
+      headers: {
+        Authorization: `Bearer ${config.WHATSAPP_ACCESS_TOKEN}`,
+        "Content-Type": "application/json",
+        "Accept-Encoding": "identity",
+        ...logger.correlationHeaders(),
+      },
+    });
+  } catch (err) {
+    const error = classifyError(err);
+    log.error("WhatsApp error", { retryable: error.retryable, code: error.code, error: error.message });
+    throw error;
+  }
+
+  const messageId = response.data.messages?.[0]?.id;
+  recordStatus({
+    id: messageId,
+    status: "accepted",
+    recipient_id: recipient.slice(1),
+    timestamp: Math.floor(Date.now() / 1000),
+    template,
+    meta,
+  });
+
+  log.info("WhatsApp template sent", { template, messageId });
+  return { messageId, to: recipient };
+}
+
+// Stores one entry of a Graph `statuses` webhook array (sent, delivered,
+// read, failed) against its message ID.
+function recordStatus({ id, status, recipient_id, timestamp, errors, template, meta }) {
+  if (!id) return null;
+
+  return statusStore.update((messages) => {
+    const at = timestamp ? new Date(Number(timestamp) * 1000).toISOString() : new Date().toISOString();
+    const message = messages[id] || { id, to: recipient_id, history: [] };
+
+    message.history.push({ status, at, errors: errors || undefined });
+    message.history.sort((a, b) => a.at.localeCompare(b.at));
+    message.status = message.history[message.history.length - 1].status;
+    message.updatedAt = new Date().toISOString();
+    if (template) message.template = template;
+    if (meta && Object.keys(meta).length) message.meta = meta;
+    if (errors?.length) message.errors = errors;
+
+    messages[id] = message;
+    return message;
+  });
+}
+
+function getMessageStatus(id) {
+  return statusStore.read()[id] || null;
+}
+
+module.exports = {
+  WhatsAppError,
+  normalizeIndianMobile,
+  sendTemplate,
+  recordStatus,
+  getMessageStatus,
+};
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const steps = require("./steps");
+const messages = require("./messages");
+const { resolveLanguage } = require("../language");
+const { getAgentId, getUseCase } = require("../bolnaPayload");
+const { getCallerType } = require("../callSchemas");
+const { config } = require("../config");
+const log = require("../logger").child({ module: "workflows" });
+
+const WORKFLOWS_FILE = config.WORKFLOWS_FILE;
+
+// "step" or { step, ...options } -> { name, options }
+function normalizeStep(entry) {
+  if (typeof entry === "string") return { name: entry, options: {} };
+  const { step, ...options } = entry || {};
+  return { name: step, options };
+}
+
+// WORKFLOW_AGENTS="<agent id>:feedback,<agent id>:serviceRequest" maps agent
+// IDs per environment without editing the JSON file.
+function agentsFromEnv() {
+  return Object.fromEntries(
+    config.WORKFLOW_AGENTS
+      .split(",")
+      .map((pair) => pair.split(":").map((part) => part.trim()))
+      .filter(([agentId, workflow]) => agentId && workflow)
+  );
+}
+
+function checkConfig(config) {
+  const problems = [];
+  const workflows = config.workflows || {};
+
+  for (const [name, definition] of Object.entries(workflows)) {
+    for (const entry of definition.steps || []) {
+      const { name: step, options } = normalizeStep(entry);
+      if (!steps[step]) problems.push(`workflow "${name}" uses unknown step "${step}"`);
+      if (step === "notify" && !messages[options.message]) {
+        problems.push(`workflow "${name}" notifies with unknown message "${options.message}"`);
+      }
+    }
+  }
+
+  const targets = [
+    ["defaultWorkflow", config.defaultWorkflow],
+    ...Object.entries(config.agents).map(([agentId, workflow]) => [`agent "${agentId}"`, workflow]),
+    ...Object.entries(config.useCases || {}).map(([useCase, workflow]) => [`use case "${useCase}"`, workflow]),
+    ...Object.entries(config.callerTypes || {}).map(([type, workflow]) => [`caller type "${type}"`, workflow]),
+  ];
+  for (const [source, workflow] of targets) {
+    if (workflow && !workflows[workflow]) problems.push(`${source} points to unknown workflow "${workflow}"`);
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid workflow config ${WORKFLOWS_FILE}: ${problems.join("; ")}`);
+  }
+}
+
+// read on every call so routing changes apply without a restart
+function loadWorkflows() {
+  const config = JSON.parse(fs.readFileSync(WORKFLOWS_FILE, "utf8"));
+  config.agents = { ...config.agents, ...agentsFromEnv() };
+  checkConfig(config);
+  return config;
+}
+
+// Picks the workflow for a payload: a caller type with its own workflow
+// (dealers) first, as any agent may take their call, then the agent ID, the
+// use case and the default. Returns { name, definition, matchedBy } or null.
+function resolveWorkflow(body, config = loadWorkflows()) {
+  const agentId = getAgentId(body);
+  const useCase = getUseCase(body);
+  const callerType = getCallerType(body);
+
+  const candidates = [
+    [config.callerTypes?.[callerType], "callerType"],
+    [agentId && config.agents[agentId], "agent"],
+    [useCase && config.useCases?.[useCase], "useCase"],
+    [config.defaultWorkflow, "default"],
+  ];
+
+  for (const [name, matchedBy] of candidates) {
+    if (name) return { name, definition: config.workflows[name], matchedBy };
+  }
+  return null;
+}
+
+// Express middleware: sets req.workflow, or answers 422 when nothing matches.
+function selectWorkflow() {
+  return function workflowSelector(req, res, next) {
+    let workflow;
+    try {
+      workflow = resolveWorkflow(req.body);
+    } catch (err) {
+      log.error("Workflow config error", { err });
+      return res.status(500).json({ success: false, code: "WORKFLOW_CONFIG_INVALID", error: err.message });
+    }
+
+    if (!workflow) {
+      return res.status(422).json({
+        success: false,
+        code: "WORKFLOW_NOT_FOUND",
+        error: `No workflow for agent "${getAgentId(req.body)}" / use case "${getUseCase(req.body)}"`,
+      });
+    }
+
+    log.info("Workflow selected", { workflow: workflow.name, matchedBy: workflow.matchedBy });
+    req.workflow = workflow;
+    next();
+  };
+}
+
+// Runs the workflow's steps in order against one webhook request and sends
+// the response. A step that answered the request ends the run early;
+// otherwise the reply is the workflow's status/message plus whatever the
+// steps put in ctx.result.
+async function runWorkflow({ name, definition }, req, res) {
+  const ctx = {
+    workflow: name,
+    definition,
+    req,
+    res,
+    body: req.body,
+    callId: req.callId,
+    language: resolveLanguage(req.body),
+    data: {},
+    details: {},
+    customer: {},
+    result: {},
+  };
+
+  for (const entry of definition.steps) {
+    const { name: step, options } = normalizeStep(entry);
+    await steps[step](ctx, options);
+    if (res.headersSent) return ctx;
+  }
+
+  res.status(definition.status || 200).json({
+    success: true,
+    workflow: name,
+    message: definition.message || "Webhook processed",
+    ...ctx.result,
+  });
+  return ctx;
+}
+
+module.exports = {
+  loadWorkflows,
+  resolveWorkflow,
+  selectWorkflow,
+  runWorkflow,
+};
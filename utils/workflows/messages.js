@@ -0,0 +1,115 @@
+const { formatDate, formatNumber } = require("../language");
+const { config } = require("../config");
+
+// "City – Technician visit within 24 hours", in the message's language
+const SLA_TEXT = {
+  en: (label, hours) => `${label} – Technician visit within ${hours} hours`,
+  hi: (label, hours) => `${label} – ${hours} घंटे के भीतर टेक्नीशियन विज़िट`,
+};
+
+function slaInfo(area, language) {
+  if (!area?.slaHours) return null;
+  const text = SLA_TEXT[language] || SLA_TEXT.en;
+  return text(area.label[language] || area.label.en, area.slaHours);
+}
+
+function visitWindow(area, language) {
+  if (!area) return null;
+  return `${formatDate(area.visit.from, language)} – ${formatDate(area.visit.to, language)}`;
+}
+
+// Notification content per workflow. Each builder returns the per-channel
+// parts of a notify() intent ({ email, whatsapp, sms }); the notify step
+// picks the channels its workflow asks for.
+const messages = {
+  feedback(ctx) {
+    const rating = ctx.data.rate ?? "N/A";
+    return {
+      email: {
+        template: "feedback",
+        data: {
+          userName: ctx.customer.name,
+          rating: formatNumber(rating, ctx.language),
+          feedbackFormUrl: config.FEEDBACK_FORM_URL,
+        },
+        language: ctx.language,
+      },
+    };
+  },
+
+  serviceUpdate(ctx) {
+    const { user_name, mobile, issueDesc, fullAddress, technician_visit_date: date } = ctx.data;
+    const email = ctx.customer.email;
+    const caseId = ctx.case ? `SR-${ctx.case.caseNumber || ctx.case.id}` : null;
+    const serviceTime = formatDate(date, ctx.language, { second: "2-digit" });
+    const area = ctx.serviceArea;
+    const visit = visitWindow(area, ctx.language);
+
+    return {
+      email: {
+        template: "service-update",
+        data: {
+          userName: user_name,
+          issueDescription: issueDesc,
+          caseId,
+          slaInfo: slaInfo(area, ctx.language),
+          serviceCenter: area?.serviceCenter,
+          registeredAddress: fullAddress,
+          serviceTime,
+          visitWindow: visit,
+          mobile,
+          email,
+        },
+        language: ctx.language,
+      },
+      whatsapp: {
+        template: config.WHATSAPP_SERVICE_TEMPLATE,
+        language: "en",
+        parameters: [
+          `Dear ${user_name},`,
+          `Issue Description: ${issueDesc}`,
+          `Case ID: ${caseId}`,
+          `Registered Address: ${fullAddress}`,
+          // the approved template has six placeholders, so the service
+          // centre rides along with the visit window (no newlines allowed)
+          area
+            ? `Service Time: ${visitWindow(area, "en")} · Service Centre: ${area.serviceCenter} (${slaInfo(area, "en")})`
+            : `Service Time: ${formatDate(date, "en")}`,
+          `Registered Email: ${email}`,
+        ],
+      },
+      sms: {
+        text: `G&B: Service request ${caseId} registered. Technician visit: ${visit || serviceTime}.`,
+      },
+    };
+  },
+
+  // for the dealer-support inbox, so English only
+  dealerRequest(ctx) {
+    const { user_name, mobile, pincode, issueDesc, product } = ctx.data;
+    const dealer = ctx.dealer || {};
+
+    return {
+      email: {
+        template: "dealer-request",
+        data: {
+          dealerNumber: dealer.number,
+          dealerName: dealer.verified ? dealer.name : "Not in the dealer registry",
+          dealerCity: dealer.city,
+          userName: user_name,
+          mobile,
+          email: ctx.customer.email,
+          pincode,
+          product,
+          issueDescription: issueDesc,
+          caseId: ctx.case ? ctx.case.caseNumber || ctx.case.id : null,
+          callId: ctx.callId,
+          recordingUrl: ctx.body.telephony_data?.recording_url,
+          transcript: ctx.body.transcript,
+        },
+      },
+    };
+  },
+};
+
+module.exports = messages;
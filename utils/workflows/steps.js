@@ -0,0 +1,268 @@
+const salesforce = require("../salesforceClient");
+const callStore = require("../callStore");
+const messages = require("./messages");
+const { notify } = require("../notify");
+const { once } = require("../idempotency");
+const { formatDate } = require("../language");
+const { enrichTranscript } = require("../enrichment");
+const { isConfidentEmail } = require("../spokenToEmail");
+const { getRecipient } = require("../bolnaPayload");
+const { validateCall, sendValidationErrors } = require("../callSchemas");
+const { evaluateEscalation, runEscalation } = require("../escalation");
+const { scheduleRequestedCallback } = require("../callbackScheduler");
+const { findDealer } = require("../dealers");
+const { assignServiceArea } = require("../serviceAreas");
+const { config } = require("../config");
+const log = require("../logger").child({ module: "workflows" });
+
+// Case descriptions, by the createCase step's `details` option
+const caseDetails = {
+  service(ctx) {
+    const { user_name, mobile, pincode, issueDesc, technician_visit_date: date } = ctx.data;
+    const area = ctx.serviceArea;
+    const territory = area
+      ? `
+          Territory: ${area.territory} (${area.label.en}, ${area.slaHours}h SLA)
+          Service Centre: ${area.serviceCenter}
+          Technician Pool: ${area.technicianPool}
+          Visit Window: ${formatDate(area.visit.from, "en")} – ${formatDate(area.visit.to, "en")} IST${area.visit.withinSla ? "" : " (after SLA, customer's choice)"}`
+      : "";
+    return `Service appointment details:
+          Name: ${user_name}
+          Email: ${ctx.customer.email}
+          Mobile: ${mobile}
+          Pincode: ${pincode}
+          Issue: ${issueDesc}
+          Preferred Date: ${formatDate(date, "en", { second: "2-digit" })} IST${territory}`;
+  },
+
+  dealer(ctx) {
+    const { user_name, mobile, pincode, issueDesc, product } = ctx.data;
+    const { number, verified, name } = ctx.dealer || {};
+    return `Dealer call details:
+          Dealer: ${verified ? `${name} (${number})` : `${number} (not in the dealer registry)`}
+          Caller: ${user_name}
+          Email: ${ctx.customer.email}
+          Mobile: ${mobile}
+          Pincode: ${pincode}
+          Product: ${product}
+          Issue: ${issueDesc}`;
+  },
+};
+
+// internal mailboxes a notify step can send to instead of the caller
+const inboxes = {
+  dealerSupport: () => config.DEALER_SUPPORT_EMAIL,
+};
+
+// Pipeline steps. Each is `async (ctx, options)`; `options` are the extra
+// keys of the step's entry in config/workflows.json. A step that answers the
+// request itself (validation failure, escalation, ...) ends the pipeline.
+const steps = {
+  // Validates extracted_data against the workflow's schema (utils/callSchemas).
+  async validate(ctx, { schema = ctx.definition.schema || ctx.workflow }) {
+    const { value, errors, details } = validateCall(schema, ctx.body);
+    if (errors.length) {
+      log.warn("Payload rejected", { workflow: ctx.workflow, errors });
+      return sendValidationErrors(ctx.res, errors);
+    }
+
+    const warnings = Object.entries(details).filter(([, detail]) => detail.warning);
+    if (warnings.length) {
+      log.warn("Optional fields not taken as given", {
+        workflow: ctx.workflow,
+        warnings: warnings.map(([field, detail]) => ({ field, message: detail.warning })),
+      });
+    }
+
+    ctx.data = value;
+    ctx.details = details;
+    ctx.req.callData = value;
+
+    const recipient = getRecipient(ctx.body);
+    ctx.customer = {
+      name: value.user_name || recipient.name || "Customer",
+      email: value.email || null,
+      mobile: value.mobile || recipient.mobile,
+    };
+  },
+
+  // Keeps the email only if we are confident we heard it right; otherwise the
+  // candidates go back in the response for confirmation.
+  async confirmEmail(ctx) {
+    ctx.emailCheck = { valid: Boolean(ctx.data.email), ...ctx.details.email };
+    if (isConfidentEmail(ctx.emailCheck)) return;
+
+    ctx.customer.email = null;
+    if (ctx.data.email || ctx.emailCheck.candidates?.length) {
+      ctx.result.emailConfirmation = { needed: true, candidates: ctx.emailCheck.candidates || [] };
+    }
+  },
+
+  // translation + sentiment for the call record
+  async enrich(ctx) {
+    ctx.enrichment = await enrichTranscript(ctx.body.transcript);
+    const { sentiment, confidence, provider } = ctx.enrichment;
+    log.info("Transcript enriched", { sentiment, confidence, provider });
+
+    callStore.updateCall(ctx.callId, { language: ctx.language, enrichment: ctx.enrichment });
+    ctx.result.enrichment = ctx.enrichment;
+  },
+
+  // the customer asked to be called back (agent script, SECTION 6)
+  async scheduleCallback(ctx) {
+    const callback = await scheduleRequestedCallback(ctx.callId, ctx.data, ctx.customer);
+    if (callback) ctx.result.callbackId = callback.id;
+  },
+
+  // 🚨 unhappy customers get an apology + internal escalation instead of the
+  // rest of the pipeline
+  async escalate(ctx) {
+    const rating = ctx.data.rate ?? "N/A";
+    const { escalate, reasons } = evaluateEscalation({
+      rating,
+      enrichment: ctx.enrichment,
+      transcript: ctx.body.transcript,
+    });
+    if (!escalate) return;
+
+    const { result, replayed } = await once(ctx.callId, "escalation", () => {
+      const { escalation, jobs } = runEscalation({
+        callId: ctx.callId,
+        customer: ctx.customer,
+        rating,
+        reasons,
+        enrichment: ctx.enrichment,
+        transcript: ctx.body.transcript,
+        recordingUrl: ctx.body.telephony_data?.recording_url,
+        language: ctx.language,
+      });
+      return { escalationId: escalation.id, jobs };
+    });
+    if (!replayed) {
+      callStore.recordAction(ctx.callId, "escalation", {
+        status: "opened",
+        escalationId: result.escalationId,
+        reasons,
+      });
+    }
+
+    ctx.res.status(202).json({
+      success: true,
+      workflow: ctx.workflow,
+      message: "Negative feedback escalated",
+      escalationId: result.escalationId,
+      jobs: result.jobs,
+      enrichment: ctx.enrichment,
+    });
+  },
+
+  // Looks the pincode up in the service-area dataset (utils/serviceAreas.js)
+  // for the territory, its SLA and service centre, and the visit window
+  // promised to the customer.
+  async assignServiceArea(ctx) {
+    ctx.serviceArea = assignServiceArea({
+      pincode: ctx.data.pincode,
+      preferredAt: ctx.data.technician_visit_date,
+    });
+    const { territory, tier, slaHours, matched } = ctx.serviceArea;
+    log.info("Service area assigned", { territory, tier, slaHours, matched });
+
+    callStore.updateCall(ctx.callId, { serviceArea: ctx.serviceArea });
+    ctx.result.serviceArea = ctx.serviceArea;
+  },
+
+  // Looks the dealer number up in the dealer registry (utils/dealers.js).
+  // An unknown number still goes through, marked unverified for the
+  // dealer-support team to check.
+  async verifyDealer(ctx) {
+    const dealer = findDealer(ctx.data.dealer_number);
+    ctx.dealer = {
+      number: ctx.data.dealer_number,
+      verified: Boolean(dealer),
+      ...(dealer && { name: dealer.name, city: dealer.city, accountId: dealer.accountId }),
+    };
+    if (!ctx.customer.email && dealer?.email) ctx.customer.email = dealer.email;
+
+    log.info("Dealer checked", { dealerNumber: ctx.dealer.number, verified: ctx.dealer.verified });
+    callStore.recordAction(ctx.callId, "dealer", {
+      status: dealer ? "verified" : "unknown",
+      dealerNumber: ctx.dealer.number,
+      ...(dealer && { name: dealer.name }),
+    });
+    ctx.result.dealer = ctx.dealer;
+  },
+
+  // Finds or creates the caller's Contact and opens a Case on it, once per
+  // call however often Bolna re-sends the payload. `recordType` is the Case
+  // record type's DeveloperName; `details` picks the description below.
+  async createCase(ctx, { subject = "Service Request", priority = "Medium", origin = "Phone", recordType, details = "service" }) {
+    const { user_name, mobile } = ctx.data;
+    const email = ctx.customer.email;
+    const accountId = ctx.dealer?.accountId;
+
+    const { result, replayed } = await once(ctx.callId, "case", async () => {
+      const contact = await salesforce.upsertContact({ name: user_name, email, mobile, accountId });
+      const fields = {
+        ...(recordType && { RecordTypeId: await salesforce.getRecordTypeId("Case", recordType) }),
+        ...(accountId && { AccountId: accountId }),
+      };
+      const created = await salesforce.createCase({
+        contact,
+        subject,
+        description: caseDetails[details](ctx),
+        origin,
+        priority,
+        fields,
+      });
+      return { ...created, contactId: contact.Id };
+    });
+
+    if (!replayed) callStore.recordAction(ctx.callId, "case", { status: "created", ...result });
+
+    ctx.case = result;
+    ctx.result.salesforceResponse = {
+      caseId: result.id,
+      caseNumber: result.caseNumber,
+      contactId: result.contactId,
+    };
+  },
+
+  // Sends `message` (utils/workflows/messages.js) on `channels`. With
+  // `requireEmail`, a call without a confident address stops here and hands
+  // back the candidates instead. `inbox` sends it to an internal mailbox
+  // rather than the caller. The intent is kept on the call record so the
+  // admin API can resend it.
+  async notify(ctx, { message, channels = ["email"], requireEmail = false, inbox }) {
+    if (inbox && !inboxes[inbox]) throw new Error(`Unknown inbox "${inbox}"`);
+    const content = messages[message](ctx);
+    const notification = {
+      customer: inbox ? { name: inbox, email: inboxes[inbox]() || null } : ctx.customer,
+      ...Object.fromEntries(channels.filter((name) => content[name]).map((name) => [name, content[name]])),
+      meta: { callId: ctx.callId, ...(ctx.case && { caseId: ctx.case.id }) },
+    };
+    callStore.updateCall(ctx.callId, { notification });
+
+    if (requireEmail && !ctx.customer.email) {
+      callStore.recordAction(ctx.callId, "email", {
+        status: "skipped",
+        reason: "needs_confirmation",
+        candidates: ctx.emailCheck?.candidates,
+      });
+      return ctx.res.json({
+        success: false,
+        workflow: ctx.workflow,
+        message: "Email needs confirmation",
+        needsConfirmation: true,
+        emailCandidates: ctx.emailCheck?.candidates || [],
+        ...(ctx.enrichment && { enrichment: ctx.enrichment }),
+      });
+    }
+
+    const { result, replayed } = await once(ctx.callId, "notify", () => notify(notification));
+    if (!replayed) callStore.recordNotifications(ctx.callId, result);
+    ctx.result.notifications = result;
+  },
+};
+
+module.exports = steps;